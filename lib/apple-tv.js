@@ -0,0 +1,266 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const VieraClient = require('./viera-client');
+
+const HELPER_SCRIPT = path.join(__dirname, 'atv-helper.py');
+// Default timeout for helper requests, connecting includes a scan
+const REQUEST_TIMEOUT = 15000;
+const CONNECT_TIMEOUT = 30000;
+// Wait before starting the helper again, doubled after every failed start
+const RESTART_DELAY = 2000;
+const MAX_RESTART_DELAY = 300000;
+// A connection that held this long starts the delays over
+const STABLE_TIME = 60000;
+
+/**
+ * Keeps a pyatv helper process (atv-helper.py) running that holds the
+ * connection to the Apple TV. Commands are sent as JSON lines, push updates
+ * (now playing, power state) arrive through options.onEvent(event). Crashed
+ * helpers are started again with growing delay, the helper state
+ * (stopped, starting, connected, restarting) is reported as a 'status' event.
+ */
+class AppleTv {
+    constructor(log, options = {}) {
+        this.log = log;
+        this.config = options.config;
+        this.onEvent = options.onEvent || (() => {});
+        this.connected = false;
+        this.status = 'stopped';
+        this.restarts = 0;
+        this._process = null;
+        this._buffer = '';
+        this._pending = new Map();
+        this._seq = 0;
+        this._stopped = false;
+        this._restartTimer = null;
+        this._connectedAt = 0;
+    }
+
+    /**
+     * Start the helper and connect. Failures are logged, the helper is started again later.
+     */
+    async start() {
+        this._stopped = false;
+        this._setStatus('starting');
+        try {
+            const python = await AppleTv.findPython(this.log);
+            if (this._stopped) return;
+            this._spawn(python);
+            const { name } = await this.request('connect', { config: this.config }, CONNECT_TIMEOUT);
+            this._connectedAt = Date.now();
+            this._setConnected(true);
+            if (this.log) this.log.info(`Apple TV helper connected to ${name}`);
+        } catch (err) {
+            if (this.log) this.log.warn(`Apple TV helper: ${err.message}`);
+            if (this._process) {
+                // Started again once the helper has exited
+                this._kill();
+            } else {
+                this._scheduleRestart();
+            }
+        }
+    }
+
+    stop() {
+        this._stopped = true;
+        if (this._restartTimer) {
+            clearTimeout(this._restartTimer);
+            this._restartTimer = null;
+        }
+        this._kill();
+        this._setStatus('stopped');
+    }
+
+    /**
+     * Send a request to the helper, resolves with its result
+     */
+    request(cmd, params = {}, timeout = REQUEST_TIMEOUT) {
+        if (!this._process) {
+            return Promise.reject(new Error('Apple TV helper is not running'));
+        }
+        const id = ++this._seq;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new Error(`Apple TV ${cmd} timed out`));
+            }, timeout);
+            this._pending.set(id, { resolve, reject, timer, cmd });
+            this._process.stdin.write(`${JSON.stringify({ ...params, id, cmd })}\n`);
+        });
+    }
+
+    /**
+     * Press a remote key (pyatv name, e.g. menu, play_pause), hold for a long press
+     */
+    sendKey(key, hold) {
+        return this.request('key', { key, hold: !!hold });
+    }
+
+    launchApp(bundleId) {
+        return this.request('launch_app', { app: bundleId });
+    }
+
+    getAppList() {
+        return this.request('app_list');
+    }
+
+    turnOn() {
+        return this.request('turn_on');
+    }
+
+    turnOff() {
+        return this.request('turn_off');
+    }
+
+    /**
+     * Wake the Apple TV (and the TV through HDMI-CEC). strategies: [{ id, timeout }]
+     * as for VieraClient.turnOnAppleTv, resolves with the id of the one that worked.
+     */
+    async wake(strategies = VieraClient.defaultWakeStrategies()) {
+        const tried = new Set();
+        for (const { id, timeout } of strategies) {
+            const strategy = VieraClient.APPLE_TV_WAKE_STRATEGIES[id];
+            if (!strategy) continue;
+            // Both turn_on variants are the same request over the helper connection
+            const request = JSON.stringify(strategy.helper);
+            if (tried.has(request)) continue;
+            tried.add(request);
+            try {
+                await this.request(strategy.helper.cmd, strategy.helper.params, timeout);
+                if (this.log) this.log.info(`Apple TV [${strategy.label}] via helper: OK`);
+                return id;
+            } catch (err) {
+                if (this.log) this.log.warn(`Apple TV ${strategy.label} via helper failed: ${err.message}`);
+            }
+        }
+        throw new Error('All Apple TV wake strategies failed');
+    }
+
+    _spawn(python) {
+        const proc = spawn(python, [HELPER_SCRIPT], { stdio: ['pipe', 'pipe', 'pipe'] });
+        this._process = proc;
+        this._buffer = '';
+
+        proc.stdout.on('data', (chunk) => {
+            this._buffer += chunk.toString();
+            let index;
+            while ((index = this._buffer.indexOf('\n')) !== -1) {
+                const line = this._buffer.substring(0, index).trim();
+                this._buffer = this._buffer.substring(index + 1);
+                if (line) this._onLine(line);
+            }
+        });
+        // Writes after a crash fail with EPIPE, the exit handler takes care of it
+        proc.stdin.on('error', () => {});
+        proc.stderr.on('data', (chunk) => {
+            if (this.log) this.log.debug(`Apple TV helper: ${chunk.toString().trim()}`);
+        });
+        proc.on('error', (err) => this._onExit(proc, err.message));
+        proc.on('exit', (code) => this._onExit(proc, `code ${code}`));
+    }
+
+    _onExit(proc, reason) {
+        if (this._process !== proc) return;
+        this._process = null;
+        this._failPending(new Error(`Apple TV helper exited (${reason})`));
+        this._setConnected(false);
+        if (this.log) this.log.info(`Apple TV helper exited (${reason})`);
+        this._scheduleRestart();
+    }
+
+    _scheduleRestart() {
+        if (this._stopped || this._restartTimer) return;
+        if (this._connectedAt && Date.now() - this._connectedAt > STABLE_TIME) {
+            this.restarts = 0;
+        }
+        this._connectedAt = 0;
+        const delay = Math.min(MAX_RESTART_DELAY, RESTART_DELAY * Math.pow(2, this.restarts));
+        this.restarts++;
+        this._setStatus('restarting');
+        if (this.log) this.log.debug(`Starting Apple TV helper again in ${delay / 1000}s`);
+        this._restartTimer = setTimeout(() => {
+            this._restartTimer = null;
+            this.start();
+        }, delay);
+    }
+
+    _setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.onEvent({ event: 'status', status, restarts: this.restarts });
+    }
+
+    _onLine(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (_) {
+            if (this.log) this.log.debug(`Apple TV helper: ${line}`);
+            return;
+        }
+        if (message.id !== undefined && this._pending.has(message.id)) {
+            const pending = this._pending.get(message.id);
+            this._pending.delete(message.id);
+            clearTimeout(pending.timer);
+            if (message.ok) {
+                pending.resolve(message.result);
+            } else {
+                pending.reject(new Error(`Apple TV ${pending.cmd} failed: ${message.error}`));
+            }
+            return;
+        }
+        if (message.event === 'disconnected') {
+            this._setConnected(false);
+        }
+        if (message.event) {
+            this.onEvent(message);
+        }
+    }
+
+    _setConnected(connected) {
+        if (connected) this._setStatus('connected');
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.onEvent({ event: 'connection', connected });
+    }
+
+    _failPending(err) {
+        for (const pending of this._pending.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(err);
+        }
+        this._pending.clear();
+    }
+
+    _kill() {
+        const proc = this._process;
+        if (!proc) return;
+        // Closing stdin lets the helper disconnect cleanly
+        try { proc.stdin.end(); } catch (_) {}
+        setTimeout(() => {
+            if (proc.exitCode === null) {
+                try { proc.kill('SIGTERM'); } catch (_) {}
+            }
+        }, 2000);
+    }
+
+    /**
+     * Python interpreter that has pyatv: the one next to atvremote (venv), else python3.
+     * ensureAtvremote resolves atvremote only once, helper restarts do not search again.
+     */
+    static async findPython(log) {
+        const atvremotePath = await VieraClient.ensureAtvremote(log);
+        const venvPython = path.join(path.dirname(atvremotePath), 'python3');
+        try {
+            await fs.promises.access(venvPython, fs.constants.X_OK);
+            return venvPython;
+        } catch (_) {
+            return 'python3';
+        }
+    }
+}
+
+module.exports = AppleTv;
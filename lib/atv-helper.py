@@ -0,0 +1,195 @@
+#!/usr/bin/env python3
+"""Long-running pyatv helper of the panasonic-viera adapter.
+
+Keeps one connection to the Apple TV open. Reads one JSON request per line on
+stdin ({"id": 1, "cmd": "key", "key": "menu"}) and answers with one JSON line
+on stdout ({"id": 1, "ok": true, "result": null}). Push updates are written as
+events ({"event": "playing", "data": {...}}). Exits when stdin is closed or the
+connection to the Apple TV is lost, the adapter starts it again.
+"""
+
+import asyncio
+import base64
+import json
+import sys
+
+import pyatv
+from pyatv.const import InputAction, Protocol
+
+# remote_control methods that may be called with "key"
+REMOTE_KEYS = {
+    'up', 'down', 'left', 'right', 'select', 'menu', 'home', 'top_menu',
+    'play', 'pause', 'play_pause', 'stop', 'next', 'previous',
+    'volume_up', 'volume_down', 'skip_forward', 'skip_backward',
+    'channel_up', 'channel_down',
+}
+# Keys that know a long press
+HOLD_KEYS = {'up', 'down', 'left', 'right', 'select', 'menu', 'home'}
+
+CREDENTIALS = {
+    'airplay': Protocol.AirPlay,
+    'companion': Protocol.Companion,
+    'mrp': Protocol.MRP,
+}
+
+ARTWORK_WIDTH = 300
+
+
+def emit(message):
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+class Helper:
+    def __init__(self, loop):
+        self.loop = loop
+        self.atv = None
+        self.artwork_id = None
+        self.closed = loop.create_future()
+
+    async def connect(self, config):
+        hosts = [config['address']] if config.get('address') else None
+        confs = await pyatv.scan(self.loop, identifier=config.get('identifier') or None, hosts=hosts, timeout=5)
+        if not confs:
+            raise RuntimeError('Apple TV not found')
+        conf = confs[0]
+        for name, protocol in CREDENTIALS.items():
+            if config.get(name):
+                conf.set_credentials(protocol, config[name])
+
+        self.atv = await pyatv.connect(conf, self.loop)
+        self.atv.listener = self
+        self.atv.power.listener = self
+        self.atv.push_updater.listener = self
+        self.atv.push_updater.start()
+        emit({'event': 'power', 'state': self.atv.power.power_state.name.lower()})
+        return {'name': conf.name}
+
+    async def handle(self, request):
+        cmd = request.get('cmd')
+        if cmd == 'connect':
+            return await self.connect(request.get('config') or {})
+        if self.atv is None:
+            raise RuntimeError('Not connected')
+
+        if cmd == 'key':
+            key = request.get('key')
+            if key not in REMOTE_KEYS:
+                raise ValueError('Unknown key %s' % key)
+            method = getattr(self.atv.remote_control, key)
+            if request.get('hold') and key in HOLD_KEYS:
+                await method(InputAction.Hold)
+            else:
+                await method()
+            return None
+        if cmd == 'launch_app':
+            await self.atv.apps.launch_app(request['app'])
+            return None
+        if cmd == 'app_list':
+            apps = await self.atv.apps.app_list()
+            return [{'id': app.identifier, 'name': app.name} for app in apps]
+        if cmd == 'turn_on':
+            await self.atv.power.turn_on()
+            return None
+        if cmd == 'turn_off':
+            await self.atv.power.turn_off()
+            return None
+        raise ValueError('Unknown command %s' % cmd)
+
+    async def run(self, request):
+        try:
+            result = await self.handle(request)
+            emit({'id': request.get('id'), 'ok': True, 'result': result})
+        except Exception as err:  # pylint: disable=broad-except
+            emit({'id': request.get('id'), 'ok': False, 'error': str(err) or type(err).__name__})
+
+    async def send_playing(self, playing):
+        app = None
+        try:
+            app = self.atv.metadata.app
+        except Exception:  # pylint: disable=broad-except
+            pass
+        emit({'event': 'playing', 'data': {
+            'title': playing.title or '',
+            'artist': playing.artist or '',
+            'album': playing.album or '',
+            'mediaType': playing.media_type.name.lower(),
+            'deviceState': playing.device_state.name.lower(),
+            'position': playing.position or 0,
+            'totalTime': playing.total_time or 0,
+            'app': app.name if app and app.name else '',
+            'appId': app.identifier if app else '',
+        }})
+
+        artwork_id = self.atv.metadata.artwork_id
+        if artwork_id == self.artwork_id:
+            return
+        self.artwork_id = artwork_id
+        artwork = None
+        if artwork_id:
+            try:
+                artwork = await self.atv.metadata.artwork(width=ARTWORK_WIDTH)
+            except Exception:  # pylint: disable=broad-except
+                artwork = None
+        if artwork and artwork.bytes:
+            emit({'event': 'artwork', 'mimetype': artwork.mimetype, 'data': base64.b64encode(artwork.bytes).decode('ascii')})
+        else:
+            emit({'event': 'artwork', 'mimetype': '', 'data': ''})
+
+    # PushListener
+    def playstatus_update(self, updater, playstatus):
+        self.loop.create_task(self.send_playing(playstatus))
+
+    def playstatus_error(self, updater, exception):
+        emit({'event': 'error', 'error': str(exception)})
+
+    # PowerListener
+    def powerstate_update(self, old_state, new_state):
+        emit({'event': 'power', 'state': new_state.name.lower()})
+
+    # DeviceListener
+    def connection_lost(self, exception):
+        emit({'event': 'disconnected', 'error': str(exception)})
+        if not self.closed.done():
+            self.closed.set_result(True)
+
+    def connection_closed(self):
+        emit({'event': 'disconnected', 'error': ''})
+        if not self.closed.done():
+            self.closed.set_result(True)
+
+
+async def main():
+    loop = asyncio.get_running_loop()
+    helper = Helper(loop)
+    reader = asyncio.StreamReader()
+    await loop.connect_read_pipe(lambda: asyncio.StreamReaderProtocol(reader), sys.stdin)
+    emit({'event': 'ready'})
+
+    read = None
+    while True:
+        if read is None:
+            read = asyncio.ensure_future(reader.readline())
+        done, _ = await asyncio.wait({read, helper.closed}, return_when=asyncio.FIRST_COMPLETED)
+        if helper.closed in done:
+            read.cancel()
+            break
+        line = read.result()
+        read = None
+        if not line:
+            break
+        try:
+            request = json.loads(line)
+        except ValueError:
+            emit({'event': 'error', 'error': 'Invalid request: %s' % line.decode(errors='replace').strip()})
+            continue
+        loop.create_task(helper.run(request))
+
+    if helper.atv is not None:
+        tasks = helper.atv.close()
+        if tasks:
+            await asyncio.wait(tasks, timeout=5)
+
+
+if __name__ == '__main__':
+    asyncio.run(main())
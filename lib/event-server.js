@@ -0,0 +1,101 @@
+'use strict';
+
+const http = require('http');
+const dgram = require('dgram');
+
+/**
+ * Local HTTP server that receives UPnP GENA NOTIFY requests.
+ * Handlers are registered per callback path, so events that arrive
+ * before the SUBSCRIBE response (initial event) are not lost.
+ */
+class EventServer {
+    constructor(log) {
+        this.log = log;
+        this.server = null;
+        this.port = 0;
+        this.handlers = new Map();
+    }
+
+    /**
+     * Start listening, port 0 picks a free port. Resolves with the port in use.
+     */
+    start(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this._onRequest(req, res));
+            this.server.once('error', (err) => reject(err));
+            this.server.listen(port || 0, host || undefined, () => {
+                this.port = this.server.address().port;
+                if (this.log) this.log.debug(`Event server listening on port ${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Register a handler for NOTIFY requests on a callback path
+     */
+    on(path, handler) {
+        this.handlers.set(path, handler);
+    }
+
+    off(path) {
+        this.handlers.delete(path);
+    }
+
+    /**
+     * Build the callback URL the TV should send events to. Without an explicit
+     * host the local address of the interface that routes to the TV is used.
+     */
+    async getCallbackUrl(tvIp, path, host) {
+        const address = host || await EventServer.localAddressFor(tvIp);
+        return `http://${address}:${this.port}${path}`;
+    }
+
+    stop() {
+        this.handlers.clear();
+        if (this.server) {
+            try { this.server.close(); } catch (_) {}
+            this.server = null;
+        }
+    }
+
+    _onRequest(req, res) {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            const handler = this.handlers.get(req.url);
+            if (req.method !== 'NOTIFY' || !handler) {
+                res.writeHead(req.method !== 'NOTIFY' ? 405 : 412);
+                res.end();
+                return;
+            }
+            res.writeHead(200);
+            res.end();
+            try {
+                handler(body, req.headers);
+            } catch (err) {
+                if (this.log) this.log.warn(`Event handler for ${req.url} failed: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Find the local IPv4 address used to reach the given host (no packet is sent)
+     */
+    static localAddressFor(ip) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            socket.on('error', (err) => {
+                try { socket.close(); } catch (_) {}
+                reject(err);
+            });
+            socket.connect(1900, ip, () => {
+                const address = socket.address().address;
+                socket.close();
+                resolve(address);
+            });
+        });
+    }
+}
+
+module.exports = EventServer;
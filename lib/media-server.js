@@ -0,0 +1,247 @@
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const VieraClient = require('./viera-client');
+
+// DLNA headers, some Viera models refuse to play without them
+const DLNA_HEADERS = {
+    'transferMode.dlna.org': 'Streaming',
+    'contentFeatures.dlna.org': 'DLNA.ORG_OP=01;DLNA.ORG_FLAGS=01700000000000000000000000000000',
+};
+
+/**
+ * Small HTTP server that makes local media reachable for the TV:
+ *   /files/<token>/<name>     - files registered via registerFile() (e.g. TTS announcements)
+ *                               or data registered via registerBuffer() (Apple TV artwork)
+ *   /media/<path>             - files from the configured media directory
+ *   /iobroker/<adapter>/<path> - files from the ioBroker file store, only below
+ *                                the configured fileStore folder ("vis.0/media")
+ */
+class MediaServer {
+    constructor(log, options = {}) {
+        this.log = log;
+        this.directory = options.directory || '';
+        this.readFileStore = options.readFileStore || null;
+        this.fileStore = MediaServer.parseFileStore(options.fileStore);
+        this.server = null;
+        this.port = 0;
+        this.files = new Map();
+    }
+
+    start(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this._onRequest(req, res).catch((err) => {
+                    if (this.log) this.log.debug(`Media server: ${req.url} failed: ${err.message}`);
+                    if (!res.headersSent) res.writeHead(500);
+                    res.end();
+                });
+            });
+            this.server.once('error', (err) => reject(err));
+            this.server.listen(port || 0, host || undefined, () => {
+                this.port = this.server.address().port;
+                if (this.log) this.log.debug(`Media server listening on port ${this.port}`);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Make a local file available, returns the URL path. Temporary files are
+     * deleted when they are unregistered.
+     */
+    registerFile(filePath, temporary) {
+        const token = crypto.randomBytes(8).toString('hex');
+        this.files.set(token, { filePath, temporary: !!temporary });
+        return `/files/${token}/${encodeURIComponent(path.basename(filePath))}`;
+    }
+
+    /**
+     * Make data from memory available, returns the URL path
+     */
+    registerBuffer(buffer, mimeType, name) {
+        const token = crypto.randomBytes(8).toString('hex');
+        this.files.set(token, { buffer, mimeType });
+        return `/files/${token}/${encodeURIComponent(name)}`;
+    }
+
+    /**
+     * Absolute path of a file in the media directory (relative to it or absolute),
+     * null without media directory or if the path leads out of it
+     */
+    resolveMediaPath(file) {
+        if (!this.directory || !file) return null;
+        const root = path.resolve(this.directory);
+        const filePath = path.resolve(root, String(file));
+        // Never serve anything outside the configured directory
+        return filePath.startsWith(root + path.sep) ? filePath : null;
+    }
+
+    unregisterFile(urlPath) {
+        const token = urlPath.split('/')[2];
+        const entry = this.files.get(token);
+        if (!entry) return;
+        this.files.delete(token);
+        if (entry.temporary) {
+            fs.unlink(entry.filePath, () => {});
+        }
+    }
+
+    stop() {
+        for (const entry of this.files.values()) {
+            if (entry.temporary) {
+                fs.unlink(entry.filePath, () => {});
+            }
+        }
+        this.files.clear();
+        if (this.server) {
+            try { this.server.close(); } catch (_) {}
+            this.server = null;
+        }
+    }
+
+    async _onRequest(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+
+        const urlPath = decodeURIComponent(req.url.split('?')[0]);
+        const parts = urlPath.split('/').filter(p => p);
+
+        if (parts[0] === 'files') {
+            const entry = this.files.get(parts[1]);
+            if (!entry) return this._notFound(res);
+            if (entry.buffer) return this._sendBuffer(req, res, entry.buffer, entry.mimeType);
+            return this._sendFile(req, res, entry.filePath);
+        }
+
+        if (parts[0] === 'media' && this.directory) {
+            const filePath = this.resolveMediaPath(parts.slice(1).join('/'));
+            if (!filePath) return this._notFound(res);
+            return this._sendFile(req, res, filePath);
+        }
+
+        if (parts[0] === 'iobroker' && this.readFileStore && this.fileStore && parts.length >= 3) {
+            const filePath = parts.slice(2).join('/');
+            // Only the configured adapter and folder, no way out of it
+            if (parts[1] !== this.fileStore.adapter || parts.includes('..') ||
+                (this.fileStore.folder && !filePath.startsWith(`${this.fileStore.folder}/`))) {
+                return this._notFound(res);
+            }
+            let data;
+            try {
+                data = await this.readFileStore(parts[1], filePath);
+            } catch (_) {
+                return this._notFound(res);
+            }
+            const buffer = Buffer.isBuffer(data.file) ? data.file : Buffer.from(data.file);
+            return this._sendBuffer(req, res, buffer, data.mimeType || VieraClient.guessMimeType(urlPath));
+        }
+
+        this._notFound(res);
+    }
+
+    async _sendFile(req, res, filePath) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch (_) {
+            return this._notFound(res);
+        }
+        if (!stat.isFile()) return this._notFound(res);
+
+        const range = MediaServer.parseRange(req.headers.range, stat.size);
+        if (range === false) return this._rangeNotSatisfiable(res, stat.size);
+
+        const headers = this._headers(VieraClient.guessMimeType(filePath), stat.size, range);
+        res.writeHead(range ? 206 : 200, headers);
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath, range || {}).pipe(res);
+    }
+
+    _sendBuffer(req, res, buffer, mimeType) {
+        const range = MediaServer.parseRange(req.headers.range, buffer.length);
+        if (range === false) return this._rangeNotSatisfiable(res, buffer.length);
+
+        res.writeHead(range ? 206 : 200, this._headers(mimeType, buffer.length, range));
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        res.end(range ? buffer.subarray(range.start, range.end + 1) : buffer);
+    }
+
+    _headers(mimeType, size, range) {
+        const headers = {
+            ...DLNA_HEADERS,
+            'Content-Type': mimeType,
+            'Accept-Ranges': 'bytes',
+            'Content-Length': range ? range.end - range.start + 1 : size,
+        };
+        if (range) {
+            headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+        }
+        return headers;
+    }
+
+    _notFound(res) {
+        res.writeHead(404);
+        res.end();
+    }
+
+    _rangeNotSatisfiable(res, size) {
+        res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+        res.end();
+    }
+
+    /**
+     * Turn an announce state value into options: JSON object, http(s) URL or local file path
+     */
+    static parseAnnouncement(value) {
+        const text = String(value).trim();
+        if (text.startsWith('{')) return JSON.parse(text);
+        if (/^https?:\/\//i.test(text)) return { url: text };
+        return { file: text };
+    }
+
+    /**
+     * Split "vis.0/media" into { adapter, folder }, null if empty
+     */
+    static parseFileStore(value) {
+        const parts = String(value || '').split('/').map(p => p.trim()).filter(p => p && p !== '.' && p !== '..');
+        if (parts.length === 0) return null;
+        return { adapter: parts[0], folder: parts.slice(1).join('/') };
+    }
+
+    /**
+     * Parse a "bytes=start-end" Range header. Returns null without a usable
+     * header, false if the range cannot be satisfied.
+     */
+    static parseRange(header, size) {
+        const match = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: last n bytes
+            start = Math.max(0, size - parseInt(match[2], 10));
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+        if (start >= size || start > end) return false;
+        return { start, end };
+    }
+}
+
+module.exports = MediaServer;
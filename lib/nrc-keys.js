@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * NRC key codes of the Viera network remote, grouped like the remote.* sub-channels.
+ * Not every model knows every code, unknown keys are ignored by the TV.
+ */
+const KEY_GROUPS = {
+    navigation: {
+        name: 'Navigation',
+        keys: {
+            up: { code: 'NRC_UP-ONOFF', name: 'Cursor up' },
+            down: { code: 'NRC_DOWN-ONOFF', name: 'Cursor down' },
+            left: { code: 'NRC_LEFT-ONOFF', name: 'Cursor left' },
+            right: { code: 'NRC_RIGHT-ONOFF', name: 'Cursor right' },
+            ok: { code: 'NRC_ENTER-ONOFF', name: 'OK / Enter' },
+            back: { code: 'NRC_RETURN-ONOFF', name: 'Back / Return' },
+            exit: { code: 'NRC_CANCEL-ONOFF', name: 'Exit / Cancel' },
+            menu: { code: 'NRC_MENU-ONOFF', name: 'Menu' },
+            home: { code: 'NRC_HOME-ONOFF', name: 'Home screen' },
+            submenu: { code: 'NRC_SUBMENU-ONOFF', name: 'Option / Submenu' },
+            apps: { code: 'NRC_APPS-ONOFF', name: 'Apps' },
+            epg: { code: 'NRC_EPG-ONOFF', name: 'Electronic program guide' },
+            guide: { code: 'NRC_GUIDE-ONOFF', name: 'Guide' },
+            info: { code: 'NRC_INFO-ONOFF', name: 'Info' },
+            index: { code: 'NRC_INDEX-ONOFF', name: 'Index' },
+            text: { code: 'NRC_TEXT-ONOFF', name: 'Teletext' },
+            textHold: { code: 'NRC_HOLD-ONOFF', name: 'Teletext hold' },
+            subtitles: { code: 'NRC_STTL-ONOFF', name: 'Subtitles' },
+            lastView: { code: 'NRC_R_TUNE-ONOFF', name: 'Last view' },
+            favorite: { code: 'NRC_FAVORITE-ONOFF', name: 'Favorites' },
+            program: { code: 'NRC_PROG-ONOFF', name: 'Program' },
+            vtools: { code: 'NRC_VTOOLS-ONOFF', name: 'VIERA Tools' },
+            internet: { code: 'NRC_INTERNET-ONOFF', name: 'Internet / VIERA Connect' },
+            returnScreen: { code: 'NRC_R_SCREEN-ONOFF', name: 'Return to previous screen' },
+        },
+    },
+    media: {
+        name: 'Media',
+        keys: {
+            play: { code: 'NRC_PLAY-ONOFF', name: 'Play' },
+            pause: { code: 'NRC_PAUSE-ONOFF', name: 'Pause' },
+            stop: { code: 'NRC_STOP-ONOFF', name: 'Stop' },
+            rewind: { code: 'NRC_REW-ONOFF', name: 'Rewind' },
+            forward: { code: 'NRC_FF-ONOFF', name: 'Fast forward' },
+            skipPrevious: { code: 'NRC_SKIP_PREV-ONOFF', name: 'Skip previous' },
+            skipNext: { code: 'NRC_SKIP_NEXT-ONOFF', name: 'Skip next' },
+            skip30s: { code: 'NRC_30S_SKIP-ONOFF', name: 'Skip 30 seconds' },
+            record: { code: 'NRC_REC-ONOFF', name: 'Record' },
+            netflix: { code: 'NRC_NETFLIX-ONOFF', name: 'Netflix' },
+            sdCard: { code: 'NRC_SD_CARD-ONOFF', name: 'SD card / media player' },
+            digaControl: { code: 'NRC_DIGA_CTL-ONOFF', name: 'DIGA recorder control' },
+        },
+    },
+    numbers: {
+        name: 'Numbers',
+        keys: {
+            d0: { code: 'NRC_D0-ONOFF', name: 'Digit 0' },
+            d1: { code: 'NRC_D1-ONOFF', name: 'Digit 1' },
+            d2: { code: 'NRC_D2-ONOFF', name: 'Digit 2' },
+            d3: { code: 'NRC_D3-ONOFF', name: 'Digit 3' },
+            d4: { code: 'NRC_D4-ONOFF', name: 'Digit 4' },
+            d5: { code: 'NRC_D5-ONOFF', name: 'Digit 5' },
+            d6: { code: 'NRC_D6-ONOFF', name: 'Digit 6' },
+            d7: { code: 'NRC_D7-ONOFF', name: 'Digit 7' },
+            d8: { code: 'NRC_D8-ONOFF', name: 'Digit 8' },
+            d9: { code: 'NRC_D9-ONOFF', name: 'Digit 9' },
+        },
+    },
+    colors: {
+        name: 'Color keys',
+        keys: {
+            red: { code: 'NRC_RED-ONOFF', name: 'Red' },
+            green: { code: 'NRC_GREEN-ONOFF', name: 'Green' },
+            yellow: { code: 'NRC_YELLOW-ONOFF', name: 'Yellow' },
+            blue: { code: 'NRC_BLUE-ONOFF', name: 'Blue' },
+        },
+    },
+    inputs: {
+        name: 'Inputs',
+        keys: {
+            tv: { code: 'NRC_TV-ONOFF', name: 'TV tuner' },
+            hdmi1: { code: 'NRC_HDMI1-ONOFF', name: 'HDMI 1' },
+            hdmi2: { code: 'NRC_HDMI2-ONOFF', name: 'HDMI 2' },
+            hdmi3: { code: 'NRC_HDMI3-ONOFF', name: 'HDMI 3' },
+            hdmi4: { code: 'NRC_HDMI4-ONOFF', name: 'HDMI 4' },
+            inputSwitch: { code: 'NRC_CHG_INPUT-ONOFF', name: 'Switch input (AV)' },
+            tunerNetwork: { code: 'NRC_CHG_NETWORK-ONOFF', name: 'Switch tuner (DVB-T/C/S)' },
+            vieraLink: { code: 'NRC_VIERA_LINK-ONOFF', name: 'VIERA Link (HDMI-CEC) menu' },
+            tunerBs: { code: 'NRC_NET_BS-ONOFF', name: 'BS satellite tuner (Japan)' },
+            tunerCs: { code: 'NRC_NET_CS-ONOFF', name: 'CS satellite tuner (Japan)' },
+            tunerTerrestrial: { code: 'NRC_NET_TD-ONOFF', name: 'Terrestrial digital tuner (Japan)' },
+        },
+    },
+    functions: {
+        name: 'Functions',
+        keys: {
+            power: { code: 'NRC_POWER-ONOFF', name: 'Power (toggle)' },
+            volumeUp: { code: 'NRC_VOLUP-ONOFF', name: 'Volume up' },
+            volumeDown: { code: 'NRC_VOLDOWN-ONOFF', name: 'Volume down' },
+            mute: { code: 'NRC_MUTE-ONOFF', name: 'Mute' },
+            channelUp: { code: 'NRC_CH_UP-ONOFF', name: 'Channel up' },
+            channelDown: { code: 'NRC_CH_DOWN-ONOFF', name: 'Channel down' },
+            aspect: { code: 'NRC_ASPECT-ONOFF', name: 'Aspect ratio' },
+            displayMode: { code: 'NRC_DISP_MODE-ONOFF', name: 'Display mode' },
+            pictureNr: { code: 'NRC_P_NR-ONOFF', name: 'Picture noise reduction (P-NR)' },
+            surround: { code: 'NRC_SURROUND-ONOFF', name: 'Surround' },
+            audioDescription: { code: 'NRC_AD_CHANGE-ONOFF', name: 'Audio description' },
+            audioTrack: { code: 'NRC_MPX-ONOFF', name: 'Audio track / MPX' },
+            '3d': { code: 'NRC_3D-ONOFF', name: '3D' },
+            game: { code: 'NRC_GAME-ONOFF', name: 'Game mode' },
+            offTimer: { code: 'NRC_OFFTIMER-ONOFF', name: 'Off timer' },
+            split: { code: 'NRC_SPLIT-ONOFF', name: 'Split screen' },
+            swap: { code: 'NRC_SWAP-ONOFF', name: 'Swap split screen' },
+            closedCaptions: { code: 'NRC_CC-ONOFF', name: 'Closed captions' },
+            ezSync: { code: 'NRC_EZ_SYNC-ONOFF', name: 'EZ Sync' },
+            secondaryAudio: { code: 'NRC_SAP-ONOFF', name: 'Secondary audio program (SAP)' },
+            pictureAi: { code: 'NRC_PICTAI-ONOFF', name: 'Picture AI' },
+            chatMode: { code: 'NRC_CHAT_MODE-ONOFF', name: 'Chat mode' },
+        },
+    },
+};
+
+// Additional names accepted in key sequences and remote.rawKey
+const ALIASES = {
+    enter: 'NRC_ENTER-ONOFF',
+    return: 'NRC_RETURN-ONOFF',
+    cancel: 'NRC_CANCEL-ONOFF',
+    option: 'NRC_SUBMENU-ONOFF',
+};
+
+// Flat name -> code map of all keys
+const KEYS = { ...ALIASES };
+for (const group of Object.values(KEY_GROUPS)) {
+    for (const [name, key] of Object.entries(group.keys)) {
+        KEYS[name] = key.code;
+    }
+}
+
+/**
+ * Turn a key name (case-insensitive) or NRC_ code into a full key code.
+ * NRC_ codes without -ONOFF/-ON/-OFF get -ONOFF. Returns null for unknown names.
+ */
+function resolveKey(value, keys = KEYS) {
+    const text = String(value || '').trim();
+    if (/^NRC_/i.test(text)) {
+        const code = text.toUpperCase();
+        return /-(ONOFF|ON|OFF)$/.test(code) ? code : `${code}-ONOFF`;
+    }
+    const lower = text.toLowerCase();
+    const name = Object.keys(keys).find(k => k.toLowerCase() === lower);
+    return name ? keys[name] : null;
+}
+
+module.exports = {
+    KEY_GROUPS,
+    KEYS,
+    resolveKey,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const { exec } = require('child_process');
+
+// Poll interval while waiting for the TV after a wake command
+const CHECK_INTERVAL = 2000;
+// How long a sendTo provider waits for the reply of the other adapter
+const SENDTO_REPLY_TIMEOUT = 5000;
+
+/**
+ * Base class of the power-on providers. trigger() sends the wake command, the
+ * provider succeeded when the TV answers (isAvailable) within the timeout.
+ * Providers get a context from the adapter with the functions they need:
+ * sendWakeOnLan(tv, mac), wakeAppleTv(), setForeignState(id, value) and
+ * sendTo(instance, command, message, timeout).
+ */
+class PowerOnProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.timeout = (parseFloat(options.timeout) || 30) * 1000;
+    }
+
+    get label() {
+        return 'provider';
+    }
+
+    // Run the power-on actions (input, channel, ...) after this provider
+    get postActions() {
+        return false;
+    }
+
+    async trigger() {
+        throw new Error(`${this.label}: trigger not implemented`);
+    }
+
+    /**
+     * Send the wake command and wait for the TV, resolves true if it came up.
+     * Trigger and wait share one timeout, a slow trigger leaves less time to wait.
+     */
+    async run(tv, context) {
+        const deadline = Date.now() + this.timeout;
+        await this.trigger(tv, context, this.timeout);
+        return PowerOnProvider.waitForTv(tv, deadline);
+    }
+
+    /**
+     * Poll isAvailable until the deadline, checked at least once
+     */
+    static async waitForTv(tv, deadline) {
+        for (;;) {
+            await new Promise(r => setTimeout(r, CHECK_INTERVAL));
+            if (await tv.client.isAvailable()) return true;
+            if (Date.now() >= deadline) return false;
+        }
+    }
+
+    /**
+     * Value for a foreign state from the table text: true/false, numbers and JSON
+     * are converted, an empty value means true (button)
+     */
+    static parseValue(text) {
+        const value = String(text === undefined || text === null ? '' : text).trim();
+        if (value === '') return true;
+        try {
+            return JSON.parse(value);
+        } catch (_) {
+            return value;
+        }
+    }
+}
+
+class WolProvider extends PowerOnProvider {
+    get label() {
+        return 'Wake-on-LAN';
+    }
+
+    async trigger(tv, context) {
+        await context.sendWakeOnLan(tv, this.options.target);
+    }
+}
+
+class AppleTvProvider extends PowerOnProvider {
+    get label() {
+        return 'Apple TV (HDMI-CEC)';
+    }
+
+    get postActions() {
+        return true;
+    }
+
+    async trigger(tv, context) {
+        await context.wakeAppleTv();
+    }
+}
+
+class CommandProvider extends PowerOnProvider {
+    get label() {
+        return `command "${this.options.target}"`;
+    }
+
+    trigger(tv, context, timeout) {
+        const command = String(this.options.target || '').trim();
+        if (!command) {
+            return Promise.reject(new Error('No command configured'));
+        }
+        return new Promise((resolve, reject) => {
+            exec(command, { timeout }, (error, stdout, stderr) => {
+                if (error) {
+                    const output = String(stderr || stdout || '').trim().substring(0, 300);
+                    reject(new Error(`${error.killed ? 'timed out' : `exit code ${error.code}`}${output ? `: ${output}` : ''}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+class StateProvider extends PowerOnProvider {
+    get label() {
+        return `state ${this.options.target}`;
+    }
+
+    async trigger(tv, context) {
+        const id = String(this.options.target || '').trim();
+        if (!id) throw new Error('No state id configured');
+        await context.setForeignState(id, PowerOnProvider.parseValue(this.options.value));
+    }
+}
+
+class SendToProvider extends PowerOnProvider {
+    get label() {
+        return `sendTo ${this.options.target} ${this.options.command || ''}`.trim();
+    }
+
+    async trigger(tv, context) {
+        const instance = String(this.options.target || '').trim();
+        if (!instance || !this.options.command) throw new Error('Instance and command are required');
+        const message = this.options.value ? PowerOnProvider.parseValue(this.options.value) : {};
+        const reply = await context.sendTo(instance, this.options.command, message, Math.min(this.timeout, SENDTO_REPLY_TIMEOUT));
+        if (reply && reply.error) {
+            throw new Error(typeof reply.error === 'string' ? reply.error : JSON.stringify(reply.error));
+        }
+    }
+}
+
+// Provider types as used in the powerOnProviders table
+const PROVIDERS = {
+    wol: WolProvider,
+    appleTv: AppleTvProvider,
+    command: CommandProvider,
+    state: StateProvider,
+    sendTo: SendToProvider,
+};
+
+/**
+ * Provider for a table row { type, target, command, value, timeout }
+ */
+function createProvider(row) {
+    const Provider = PROVIDERS[row.type];
+    if (!Provider) {
+        throw new Error(`Unknown power-on provider: ${row.type}`);
+    }
+    return new Provider(row);
+}
+
+module.exports = {
+    PowerOnProvider,
+    PROVIDERS,
+    createProvider,
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+// Values of <tv>.powerState
+const POWER_STATES = {
+    off: 'Off',
+    waking: 'Waking',
+    booting: 'Booting',
+    on: 'On',
+    shuttingDown: 'Shutting down',
+    unreachable: 'Unreachable',
+};
+
+// Power states that are polled with fastPollingInterval until they settle
+const FAST_POLL_STATES = ['waking', 'booting', 'shuttingDown'];
+// Power states without an answer from the TV, polled less often with every poll
+const BACKOFF_STATES = ['off', 'unreachable'];
+
+/**
+ * Power state after one poll. tv holds powerState, failures (failed polls in a
+ * row, this one included), waking (a wake flow runs) and graceUntil (end of the
+ * wait after a power-off key). The TV is only declared off after maxFailures
+ * failed polls, during a wake flow or the grace period the wake/shutdown decides.
+ * Returns null if the poll does not change anything.
+ */
+function nextPowerState(tv, reachable, maxFailures, now = Date.now()) {
+    switch (tv.powerState) {
+        case 'waking':
+        case 'booting':
+            if (tv.waking) {
+                return reachable && tv.powerState === 'waking' ? 'booting' : null;
+            }
+            break;
+        case 'shuttingDown':
+            if (now < tv.graceUntil) return null;
+            return reachable ? 'on' : 'off';
+    }
+
+    if (reachable) return 'on';
+    // Nothing to debounce right after start
+    if (tv.powerState === null || tv.powerState === 'off' || tv.failures >= maxFailures) return 'off';
+    return 'unreachable';
+}
+
+/**
+ * Effective polling interval in ms: fast while a command or power change is recent
+ * (tv.fastPollUntil) or a power transition is running, doubled per poll while the
+ * TV is off or unreachable (tv.offPolls, up to maxPollingInterval), otherwise pollingInterval.
+ * config holds the adapter settings in seconds.
+ */
+function pollingInterval(tv, config, now = Date.now()) {
+    const normal = (config.pollingInterval || 15) * 1000;
+    const fast = Math.min(normal, (config.fastPollingInterval || 2) * 1000);
+    if (now < tv.fastPollUntil || FAST_POLL_STATES.includes(tv.powerState)) {
+        return fast;
+    }
+    if (BACKOFF_STATES.includes(tv.powerState)) {
+        const max = Math.max(normal, (config.maxPollingInterval || 120) * 1000);
+        return Math.min(max, normal * Math.pow(2, Math.min(Math.max(tv.offPolls - 1, 0), 16)));
+    }
+    return normal;
+}
+
+/**
+ * Polls in a row without answer to back off from, counted once the TV is off or
+ * unreachable and the fast window is over, 0 otherwise
+ */
+function countOffPolls(tv, now = Date.now()) {
+    return BACKOFF_STATES.includes(tv.powerState) && now >= tv.fastPollUntil ? tv.offPolls + 1 : 0;
+}
+
+module.exports = {
+    POWER_STATES,
+    FAST_POLL_STATES,
+    nextPowerState,
+    pollingInterval,
+    countOffPolls,
+};
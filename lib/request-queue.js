@@ -0,0 +1,139 @@
+'use strict';
+
+// Lower value runs first
+const PRIORITY = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2,
+};
+
+/**
+ * Serializes requests to one TV. Keeps a minimum gap between requests, retries
+ * transient failures with exponential backoff and lets higher priority requests
+ * (user commands) overtake queued background polls.
+ */
+class RequestQueue {
+    constructor(log, options = {}) {
+        this.log = log;
+        this.minGap = options.minGap !== undefined ? options.minGap : 100;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelay = options.retryDelay || 500;
+        this._jobs = [];
+        this._running = false;
+        this._lastEnd = 0;
+        this._timer = null;
+        this._seq = 0;
+    }
+
+    /**
+     * Queue a task (function returning a promise). Options: priority, retries
+     * (0 for requests that must not reach the TV twice), retryIf (replaces
+     * isRetryable for this request), name
+     */
+    push(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            this._jobs.push({
+                task,
+                resolve,
+                reject,
+                name: options.name || 'request',
+                priority: options.priority !== undefined ? options.priority : PRIORITY.NORMAL,
+                retries: options.retries !== undefined ? options.retries : this.retries,
+                retryIf: options.retryIf || RequestQueue.isRetryable,
+                attempt: 0,
+                notBefore: 0,
+                seq: this._seq++,
+            });
+            this._schedule();
+        });
+    }
+
+    /**
+     * Reject all queued requests, e.g. on adapter unload
+     */
+    clear(reason) {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        const jobs = this._jobs;
+        this._jobs = [];
+        for (const job of jobs) {
+            job.reject(new Error(reason || 'Request queue cleared'));
+        }
+    }
+
+    get length() {
+        return this._jobs.length;
+    }
+
+    _schedule() {
+        if (this._running || this._jobs.length === 0) return;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        const now = Date.now();
+        const ready = this._jobs.filter(job => job.notBefore <= now);
+        if (ready.length === 0) {
+            // Only jobs waiting for their backoff - wake up for the earliest one
+            const next = Math.min(...this._jobs.map(job => job.notBefore));
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._schedule();
+            }, next - now);
+            return;
+        }
+
+        const wait = this._lastEnd + this.minGap - now;
+        if (wait > 0) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._schedule();
+            }, wait);
+            return;
+        }
+
+        ready.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+        const job = ready[0];
+        this._jobs.splice(this._jobs.indexOf(job), 1);
+        this._run(job);
+    }
+
+    async _run(job) {
+        this._running = true;
+        try {
+            job.resolve(await job.task());
+        } catch (err) {
+            if (job.attempt < job.retries && job.retryIf(err)) {
+                const delay = this.retryDelay * Math.pow(2, job.attempt);
+                job.attempt++;
+                job.notBefore = Date.now() + delay;
+                if (this.log) this.log.debug(`${job.name} failed (${err.message}), retry ${job.attempt}/${job.retries} in ${delay}ms`);
+                this._jobs.push(job);
+            } else {
+                job.reject(err);
+            }
+        } finally {
+            this._running = false;
+            this._lastEnd = Date.now();
+            this._schedule();
+        }
+    }
+
+    /**
+     * Timeouts, reset keep-alive connections, HTTP 403 (TV still booting) and 5xx are worth a retry
+     */
+    static isRetryable(err) {
+        // Errors that know better (e.g. SOAP faults for unknown actions) decide themselves
+        if (typeof err.retryable === 'boolean') return err.retryable;
+        if (err.code === 'ETIMEDOUT' || err.code === 'ECONNRESET') return true;
+        const status = err.statusCode || 0;
+        return status === 403 || status >= 500;
+    }
+}
+
+RequestQueue.PRIORITY = PRIORITY;
+
+module.exports = RequestQueue;
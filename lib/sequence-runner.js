@@ -0,0 +1,160 @@
+'use strict';
+
+const { resolveKey } = require('./nrc-keys');
+
+// Pause between two keys of a sequence, the TV drops keys that arrive too fast
+const KEY_DELAY = 300;
+// Upper limit for "KEY x<n>" so a typo cannot flood the TV
+const MAX_REPEAT = 50;
+// Press duration for "HOLD <key>" without a time
+const HOLD_DURATION = 1000;
+
+/**
+ * Runs key sequences on one TV, one after another. A running sequence and all
+ * queued ones can be cancelled, waits are interrupted immediately.
+ */
+class SequenceRunner {
+    constructor(client, log, options = {}) {
+        this.client = client;
+        this.log = log;
+        this.keyDelay = options.keyDelay !== undefined ? options.keyDelay : KEY_DELAY;
+        this.pending = 0;
+        this._queue = Promise.resolve();
+        this._generation = 0;
+        this._sleep = null;
+    }
+
+    /**
+     * Queue a list of steps ({ type: 'key', code }, { type: 'wait', ms } or { type: 'hold', code, ms }).
+     * onProgress(done, total, step) is called with done = 0 when the sequence
+     * starts and after every step.
+     */
+    run(steps, onProgress) {
+        const generation = this._generation;
+        const run = () => this._execute(steps, onProgress, generation);
+        this.pending++;
+        const result = this._queue.then(run, run).finally(() => this.pending--);
+        this._queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Stop the running sequence and drop all queued ones
+     */
+    cancel() {
+        this._generation++;
+        if (this._sleep) {
+            clearTimeout(this._sleep.timer);
+            this._sleep.resolve();
+            this._sleep = null;
+        }
+    }
+
+    get running() {
+        return this.pending > 0;
+    }
+
+    async _execute(steps, onProgress, generation) {
+        const checkCancelled = () => {
+            if (generation !== this._generation) throw SequenceRunner._cancelledError();
+        };
+        checkCancelled();
+        if (onProgress) onProgress(0, steps.length, null);
+        for (let i = 0; i < steps.length; i++) {
+            checkCancelled();
+            const step = steps[i];
+            if (step.type === 'wait') {
+                await this._wait(step.ms);
+            } else if (step.type === 'hold') {
+                // Press and release, the release is sent even if cancelled meanwhile
+                const base = step.code.replace(/-(ONOFF|ON|OFF)$/, '');
+                await this.client.sendKey(`${base}-ON`);
+                await this._wait(step.ms);
+                await this.client.sendKey(`${base}-OFF`);
+            } else {
+                await this.client.sendKey(step.code);
+                if (steps[i + 1] && steps[i + 1].type === 'key') {
+                    await this._wait(this.keyDelay);
+                }
+            }
+            checkCancelled();
+            if (onProgress) onProgress(i + 1, steps.length, step);
+        }
+    }
+
+    _wait(ms) {
+        return new Promise((resolve) => {
+            this._sleep = {
+                timer: setTimeout(() => {
+                    this._sleep = null;
+                    resolve();
+                }, ms),
+                resolve,
+            };
+        });
+    }
+
+    static _cancelledError() {
+        const err = new Error('Sequence cancelled');
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * Parse "MENU, DOWN x3, ENTER, WAIT 2000, NRC_RETURN-ONOFF" into steps.
+     * Separators are comma, semicolon or new line. Key names are looked up
+     * case-insensitively in keys, NRC_ codes are sent as given (-ONOFF is added
+     * if no suffix is present). Repeats: "DOWN x3" or "DOWN*3". Waits: "WAIT 500"
+     * (ms) or "WAIT 2s". Long press: "HOLD volumeUp 3000". Throws on unknown keys
+     * before anything is sent.
+     */
+    static parse(text, keys) {
+        const steps = [];
+        for (const token of String(text || '').split(/[,;\n]+/).map(t => t.trim()).filter(t => t)) {
+            const wait = token.match(/^wait\s+(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+            if (wait) {
+                steps.push({ type: 'wait', ms: SequenceRunner._duration(wait[1], wait[2]) });
+                continue;
+            }
+
+            const hold = token.match(/^hold\s+([\w-]+)(?:\s+(\d+(?:\.\d+)?)\s*(ms|s)?)?$/i);
+            if (hold) {
+                steps.push({
+                    type: 'hold',
+                    code: SequenceRunner._resolve(hold[1], keys),
+                    ms: hold[2] ? SequenceRunner._duration(hold[2], hold[3]) : HOLD_DURATION,
+                });
+                continue;
+            }
+
+            const match = token.match(/^([\w-]+?)(?:\s*\*\s*(\d+)|\s+x\s*(\d+))?$/i);
+            if (!match) {
+                throw new Error(`Invalid sequence step "${token}"`);
+            }
+            const code = SequenceRunner._resolve(match[1], keys);
+            const repeat = parseInt(match[2] || match[3] || '1', 10);
+            if (repeat < 1 || repeat > MAX_REPEAT) {
+                throw new Error(`Repeat count must be between 1 and ${MAX_REPEAT}: "${token}"`);
+            }
+            for (let i = 0; i < repeat; i++) {
+                steps.push({ type: 'key', code });
+            }
+        }
+        return steps;
+    }
+
+    static _resolve(name, keys) {
+        const code = resolveKey(name, keys);
+        if (!code) {
+            throw new Error(`Unknown key "${name}"`);
+        }
+        return code;
+    }
+
+    static _duration(value, unit) {
+        const number = parseFloat(value);
+        return Math.round((unit || '').toLowerCase() === 's' ? number * 1000 : number);
+    }
+}
+
+module.exports = SequenceRunner;
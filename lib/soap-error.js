@@ -0,0 +1,58 @@
+'use strict';
+
+// UPnP error codes (UPnP Device Architecture 1.0, 3.2.2) grouped by what the caller can do about them
+const UNSUPPORTED_CODES = [401, 602];
+const INVALID_ARGS_CODES = [402, 600, 601, 605];
+const AUTH_CODES = [403, 606];
+
+/**
+ * Failed SOAP request with HTTP status and, if the TV sent a fault body,
+ * UPnP error code and description.
+ */
+class SoapError extends Error {
+    constructor(action, statusCode, errorCode, description) {
+        let message = `${action} failed: ${description || `HTTP ${statusCode}`}`;
+        if (errorCode) message += ` (UPnP error ${errorCode})`;
+        super(message);
+        this.name = 'SoapError';
+        this.action = action;
+        this.statusCode = statusCode;
+        this.errorCode = errorCode;
+        this.description = description;
+    }
+
+    /**
+     * Failure class: unsupported, invalidArgs, auth (pairing needed or TV still booting),
+     * busy or failed
+     */
+    get kind() {
+        if (UNSUPPORTED_CODES.includes(this.errorCode)) return 'unsupported';
+        if (INVALID_ARGS_CODES.includes(this.errorCode)) return 'invalidArgs';
+        if (AUTH_CODES.includes(this.errorCode) || this.statusCode === 401 || this.statusCode === 403) return 'auth';
+        if (this.statusCode === 503) return 'busy';
+        return 'failed';
+    }
+
+    /**
+     * Unknown actions, bad arguments and missing pairing fail the same way on every
+     * attempt. The client retries 403 itself while the TV boots.
+     */
+    get retryable() {
+        const kind = this.kind;
+        return kind === 'busy' || (kind === 'failed' && this.statusCode >= 500);
+    }
+
+    /**
+     * Build the error from a non-200 response, the body may contain a UPnP fault
+     */
+    static fromResponse(action, statusCode, body) {
+        const value = (tag) => {
+            const match = String(body || '').match(new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`));
+            return match ? match[1].trim() : '';
+        };
+        const errorCode = parseInt(value('errorCode'), 10) || 0;
+        return new SoapError(action, statusCode, errorCode, value('errorDescription') || value('faultstring'));
+    }
+}
+
+module.exports = SoapError;
@@ -1,41 +1,337 @@
 'use strict';
 
 const http = require('http');
-const { execFile, spawn } = require('child_process');
+const dgram = require('dgram');
+const { exec, execFile, spawn } = require('child_process');
 const fs = require('fs');
+const { promisify } = require('util');
+const { derivePairingKeys, deriveSessionKeys, encryptPayload, decryptPayload } = require('./viera-crypto');
+const RequestQueue = require('./request-queue');
+const SoapError = require('./soap-error');
+const SequenceRunner = require('./sequence-runner');
+
+const { PRIORITY } = RequestQueue;
 
 const PORT = 55000;
 const TIMEOUT = 5000;
+// Idle keep-alive connections are closed after this time
+const KEEP_ALIVE_TIMEOUT = 15000;
 
 const URN_REMOTE = 'urn:panasonic-com:service:p00NetworkControl:1';
 const URN_RENDER = 'urn:schemas-upnp-org:service:RenderingControl:1';
+const URN_AVTRANSPORT = 'urn:schemas-upnp-org:service:AVTransport:1';
+
+// File extension to MIME type, used for DIDL-Lite protocol info
+const MIME_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mkv': 'video/x-matroska',
+    '.avi': 'video/x-msvideo',
+    '.ts': 'video/mp2t',
+    '.mov': 'video/quicktime',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+};
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+// Panasonic NetworkControl (remote) device and generic DLNA renderer
+const SSDP_TARGETS = [
+    'urn:panasonic-com:device:p00RemoteController:1',
+    'urn:schemas-upnp-org:device:MediaRenderer:1',
+];
+
+// Ways to wake an Apple TV: atvremote protocol/command and the matching request
+// to the pyatv helper (one connection, so both turn_on variants are the same there)
+const APPLE_TV_WAKE_STRATEGIES = {
+    turnOnCompanion: {
+        label: 'turn_on (companion)',
+        protocol: 'companion',
+        port: 49153,
+        command: 'turn_on',
+        helper: { cmd: 'turn_on' },
+    },
+    turnOnAirplay: {
+        label: 'turn_on (airplay)',
+        protocol: 'airplay',
+        port: 7000,
+        command: 'turn_on',
+        helper: { cmd: 'turn_on' },
+    },
+    // Opening an app triggers HDMI-CEC reliably
+    launchApp: {
+        label: 'launch_app (companion)',
+        protocol: 'companion',
+        port: 49153,
+        command: 'launch_app=com.apple.TVWatchList',
+        helper: { cmd: 'launch_app', params: { app: 'com.apple.TVWatchList' } },
+    },
+    // Wakes from sleep, CEC follows
+    homeHold: {
+        label: 'home_hold (companion)',
+        protocol: 'companion',
+        port: 49153,
+        command: 'home_hold',
+        helper: { cmd: 'key', params: { key: 'home', hold: true } },
+    },
+};
+const WAKE_TIMEOUT = 30000;
+// A booting TV refuses commands with HTTP 403 for a while, later a 403 means pairing is needed
+const BOOT_WINDOW = 60000;
+
+// NRC actions that are always sent in plain text, even on encrypted TVs
+const PLAIN_ACTIONS = ['X_DisplayPinCode', 'X_RequestAuth', 'X_GetEncryptSessionId', 'X_EncryptedCommand'];
+// Never repeated: a second X_DisplayPinCode shows a new PIN, the one entered for X_RequestAuth is then stale
+const PAIRING_ACTIONS = ['X_DisplayPinCode', 'X_RequestAuth'];
+// Only these may be sent again after a timeout: the TV may have got a key (NRC_POWER-ONOFF, volume up) already
+const IDEMPOTENT_ACTION = /^(X_)?(Get|Set)/;
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+// Shared lookup (and installation) of atvremote, see ensureAtvremote
+let atvremoteRequest = null;
 
 class VieraClient {
-    constructor(ip, log) {
+    constructor(ip, log, options = {}) {
         this.ip = ip;
         this.log = log;
+        this.appId = options.appId || '';
+        this.encryptionKey = options.encryptionKey || '';
+        this._session = null;
+        this._sessionRequest = null;
+        this._pairingKeys = null;
+        this._bootUntil = 0;
+        this.deviceInfo = null;
+        // Called with the key code after every key the TV accepted
+        this.onKeySent = options.onKeySent || null;
+        this._agent = new http.Agent({ keepAlive: true, maxSockets: 1, timeout: KEEP_ALIVE_TIMEOUT });
+        this._queue = new RequestQueue(log, {
+            minGap: options.requestGap,
+            retries: options.requestRetries,
+            retryDelay: options.retryDelay,
+        });
+        this.sequences = new SequenceRunner(this, log);
+    }
+
+    /**
+     * Reject queued requests and close keep-alive connections
+     */
+    close() {
+        this.sequences.cancel();
+        this._queue.clear('Connection to TV closed');
+        this._agent.destroy();
+    }
+
+    /**
+     * True if app id and encryption key from PIN pairing are available (2018+ models)
+     */
+    get isEncrypted() {
+        return !!(this.appId && this.encryptionKey);
+    }
+
+    /**
+     * The TV is switched on, HTTP 403 is retried for the next minute
+     */
+    expectBoot(duration = BOOT_WINDOW) {
+        this._bootUntil = Date.now() + duration;
+    }
+
+    /**
+     * Set app id and encryption key from PIN pairing, drops the current session
+     */
+    setCredentials(appId, encryptionKey) {
+        this.appId = appId || '';
+        this.encryptionKey = encryptionKey || '';
+        this._session = null;
+    }
+
+    /**
+     * Send a SOAP request to the TV, NRC actions are wrapped in X_EncryptedCommand if paired.
+     * Queries (Get...) are queued with low priority so commands overtake them.
+     */
+    async _soapRequest(path, urn, action, body, priority) {
+        if (priority === undefined) {
+            priority = /^(X_)?Get/.test(action) ? PRIORITY.LOW : PRIORITY.HIGH;
+        }
+        if (this.isEncrypted && urn === URN_REMOTE && !PLAIN_ACTIONS.includes(action)) {
+            return this._encryptedRequest(path, urn, action, body, priority, true);
+        }
+        return this._postSoap(path, urn, action, body, priority);
+    }
+
+    /**
+     * Send an NRC action inside X_EncryptedCommand and return the decrypted response.
+     * Every attempt is encrypted with a new sequence number.
+     */
+    async _encryptedRequest(path, urn, action, body, priority, retryOnFailure) {
+        await this._ensureSession(priority);
+        const session = this._session;
+        const encrypt = () => {
+            session.seqNum++;
+            const command = `<X_SessionId>${session.id}</X_SessionId>` +
+                `<X_SequenceNumber>${String(session.seqNum).padStart(8, '0')}</X_SequenceNumber>` +
+                `<X_OriginalCommand><u:${action} xmlns:u="${urn}">${body}</u:${action}></X_OriginalCommand>`;
+            return `<X_ApplicationId>${this.appId}</X_ApplicationId><X_EncInfo>${encryptPayload(command, session.keys)}</X_EncInfo>`;
+        };
+
+        let response;
+        try {
+            // Errors name the NRC action, not the X_EncryptedCommand wrapper
+            response = await this._postSoap(path, urn, 'X_EncryptedCommand', encrypt, priority, this._requestOptions(action));
+        } catch (err) {
+            // Session may have expired (e.g. TV rebooted) - request a new one and retry once.
+            // Keys are only sent again if the TV answered, after a timeout it may have got them.
+            if (retryOnFailure && (IDEMPOTENT_ACTION.test(action) || err.statusCode)) {
+                if (this.log) this.log.debug(`Encrypted ${action} failed (${err.message}), renewing session...`);
+                this._session = null;
+                return this._encryptedRequest(path, urn, action, body, priority, false);
+            }
+            throw err;
+        }
+
+        const match = response.match(/<X_EncResult>([^<]*)<\/X_EncResult>/);
+        return match ? decryptPayload(match[1], session.keys) : response;
     }
 
     /**
-     * Send a SOAP request to the TV
+     * Request a new encryption session id from the TV if none is active.
+     * Concurrent requests wait for the same X_GetEncryptSessionId, a second
+     * session would replace the first one on the TV.
      */
-    _soapRequest(path, urn, action, body) {
-        const soapBody = `<?xml version="1.0" encoding="utf-8"?>
+    async _ensureSession(priority) {
+        if (this._session) return;
+        if (!this._sessionRequest) {
+            this._sessionRequest = this._requestSession(priority).finally(() => {
+                this._sessionRequest = null;
+            });
+        }
+        await this._sessionRequest;
+    }
+
+    async _requestSession(priority) {
+        const keys = deriveSessionKeys(this.encryptionKey);
+        const encInfo = encryptPayload(`<X_ApplicationId>${this.appId}</X_ApplicationId>`, keys);
+        const response = await this._postSoap(
+            '/nrc/control_0',
+            URN_REMOTE,
+            'X_GetEncryptSessionId',
+            `<X_ApplicationId>${this.appId}</X_ApplicationId><X_EncInfo>${encInfo}</X_EncInfo>`,
+            priority
+        );
+        const match = response.match(/<X_EncResult>([^<]*)<\/X_EncResult>/);
+        if (!match) {
+            throw new Error('No session returned by X_GetEncryptSessionId');
+        }
+        const result = decryptPayload(match[1], keys);
+        const sessionId = (result.match(/<X_SessionId>([^<]*)<\/X_SessionId>/) || [])[1];
+        if (!sessionId) {
+            throw new Error('Could not decrypt session id');
+        }
+        // Commands continue the sequence number the TV starts the session with
+        const seqNum = parseInt((result.match(/<X_SessionSeqNum>(\d+)<\/X_SessionSeqNum>/) || [])[1], 10) || 0;
+        this._session = { id: sessionId, seqNum, keys };
+        if (this.log) this.log.debug(`Encrypted session ${sessionId} established`);
+    }
+
+    /**
+     * Ask the TV to display a pairing PIN on screen (X_DisplayPinCode)
+     */
+    async requestPinCode(deviceName) {
+        const response = await this._postSoap(
+            '/nrc/control_0',
+            URN_REMOTE,
+            'X_DisplayPinCode',
+            `<X_DeviceName>${VieraClient._escapeXml(deviceName || 'ioBroker')}</X_DeviceName>`
+        );
+        const match = response.match(/<X_ChallengeKey>([^<]*)<\/X_ChallengeKey>/);
+        if (!match) {
+            throw new Error('TV did not return a challenge key');
+        }
+        this._pairingKeys = derivePairingKeys(match[1]);
+    }
+
+    /**
+     * Send the on-screen PIN (X_RequestAuth) and return { appId, encryptionKey }
+     */
+    async authorizePinCode(pin) {
+        if (!this._pairingKeys) {
+            throw new Error('No pairing in progress, request a PIN first');
+        }
+        const keys = this._pairingKeys;
+        const authInfo = encryptPayload(`<X_PinCode>${VieraClient._escapeXml(pin)}</X_PinCode>`, keys);
+        const response = await this._postSoap(
+            '/nrc/control_0',
+            URN_REMOTE,
+            'X_RequestAuth',
+            `<X_AuthInfo>${authInfo}</X_AuthInfo>`
+        );
+        const match = response.match(/<X_AuthResult>([^<]*)<\/X_AuthResult>/);
+        if (!match) {
+            throw new Error('TV did not return an auth result');
+        }
+        const result = decryptPayload(match[1], keys);
+        const appId = (result.match(/<X_ApplicationId>([^<]*)<\/X_ApplicationId>/) || [])[1];
+        const encryptionKey = (result.match(/<X_Keyword>([^<]*)<\/X_Keyword>/) || [])[1];
+        if (!appId || !encryptionKey) {
+            throw new Error('Auth result does not contain app id and key');
+        }
+        this._pairingKeys = null;
+        this.setCredentials(appId, encryptionKey);
+        await this._ensureSession();
+        return { appId, encryptionKey };
+    }
+
+    /**
+     * Queue options for an action. Keys and app starts are retried only if the TV
+     * answered (403, 5xx), a timeout or reset connection leaves open whether it got them.
+     * HTTP 403 is only retried while the TV boots (expectBoot).
+     */
+    _requestOptions(action) {
+        if (PAIRING_ACTIONS.includes(action)) return { name: action, retries: 0 };
+        const idempotent = IDEMPOTENT_ACTION.test(action);
+        return {
+            name: action,
+            retryIf: (err) => {
+                if (!idempotent && !err.statusCode) return false;
+                if (err.statusCode === 403) return Date.now() < this._bootUntil;
+                return RequestQueue.isRetryable(err);
+            },
+        };
+    }
+
+    /**
+     * Send a plain SOAP request to the TV through the request queue. body may be a
+     * function, it is then called for every attempt (encrypted commands).
+     * queueOptions.name is the action named in errors and logs.
+     */
+    _postSoap(path, urn, action, body, priority = PRIORITY.HIGH, queueOptions = this._requestOptions(action)) {
+        const name = queueOptions.name || action;
+        return this._queue.push(() => new Promise((resolve, reject) => {
+            const soapBody = `<?xml version="1.0" encoding="utf-8"?>
 <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
  <s:Body>
   <u:${action} xmlns:u="${urn}">
-   ${body}
+   ${typeof body === 'function' ? body() : body}
   </u:${action}>
  </s:Body>
 </s:Envelope>`;
 
-        return new Promise((resolve, reject) => {
             const options = {
                 hostname: this.ip,
                 port: PORT,
                 path: path,
                 method: 'POST',
                 timeout: TIMEOUT,
+                agent: this._agent,
                 headers: {
                     'Content-Type': 'text/xml; charset="utf-8"',
                     'Content-Length': Buffer.byteLength(soapBody),
@@ -50,7 +346,7 @@ class VieraClient {
                     if (res.statusCode === 200) {
                         resolve(data);
                     } else {
-                        reject(new Error(`SOAP request failed: HTTP ${res.statusCode}`));
+                        reject(SoapError.fromResponse(name, res.statusCode, data));
                     }
                 });
             });
@@ -58,12 +354,12 @@ class VieraClient {
             req.on('error', (err) => reject(err));
             req.on('timeout', () => {
                 req.destroy();
-                reject(new Error('SOAP request timed out'));
+                reject(VieraClient._timeoutError('SOAP request timed out'));
             });
 
             req.write(soapBody);
             req.end();
-        });
+        }), { ...queueOptions, priority, name });
     }
 
     /**
@@ -77,6 +373,54 @@ class VieraClient {
             'X_SendKey',
             `<X_KeyEvent>${keyEvent}</X_KeyEvent>`
         );
+        if (this.onKeySent) this.onKeySent(keyEvent);
+    }
+
+    /**
+     * Get the list of installed TV apps as [{ id, name }]
+     */
+    async getApps() {
+        const response = await this._soapRequest(
+            '/nrc/control_0',
+            URN_REMOTE,
+            'X_GetAppList',
+            ''
+        );
+        return VieraClient.parseAppList(response);
+    }
+
+    /**
+     * Parse the X_GetAppList response into [{ id, name }]
+     */
+    static parseAppList(response) {
+        const match = response.match(/<X_AppList>([\s\S]*?)<\/X_AppList>/);
+        const list = (match ? match[1] : response)
+            .replace(/&#x27;|&#39;|&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        // Entries look like: vc_app'product_id=0010000200000001'Netflix'...
+        const apps = [];
+        for (const entry of list.split('vc_app').slice(1)) {
+            const fields = entry.split("'");
+            const id = ((fields[1] || '').match(/product_id=(\w+)/) || [])[1];
+            const name = (fields[2] || '').trim();
+            if (id && name) {
+                apps.push({ id, name });
+            }
+        }
+        return apps;
+    }
+
+    /**
+     * Launch an app by its 16 digit product id
+     */
+    async launchApp(productId) {
+        await this._soapRequest(
+            '/nrc/control_0',
+            URN_REMOTE,
+            'X_LaunchApp',
+            `<X_AppType>vc_app</X_AppType><X_LaunchKeyword>product_id=${VieraClient._escapeXml(productId)}</X_LaunchKeyword>`
+        );
     }
 
     /**
@@ -132,39 +476,460 @@ class VieraClient {
         );
     }
 
+    /**
+     * Load a media URL into the DLNA renderer (SetAVTransportURI with DIDL-Lite metadata)
+     */
+    async setAVTransportURI(url, options = {}) {
+        const metadata = VieraClient.buildDidl(url, options);
+        await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'SetAVTransportURI',
+            `<InstanceID>0</InstanceID><CurrentURI>${VieraClient._escapeXml(url)}</CurrentURI><CurrentURIMetaData>${VieraClient._escapeXml(metadata)}</CurrentURIMetaData>`
+        );
+    }
+
+    async play() {
+        await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'Play',
+            '<InstanceID>0</InstanceID><Speed>1</Speed>'
+        );
+    }
+
+    async pause() {
+        await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'Pause',
+            '<InstanceID>0</InstanceID>'
+        );
+    }
+
+    async stop() {
+        await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'Stop',
+            '<InstanceID>0</InstanceID>'
+        );
+    }
+
+    /**
+     * Seek to an absolute position in seconds
+     */
+    async seek(seconds) {
+        await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'Seek',
+            `<InstanceID>0</InstanceID><Unit>REL_TIME</Unit><Target>${VieraClient.formatDuration(seconds)}</Target>`
+        );
+    }
+
+    /**
+     * Get transport state (PLAYING, PAUSED_PLAYBACK, STOPPED, TRANSITIONING, NO_MEDIA_PRESENT)
+     */
+    async getTransportInfo() {
+        const response = await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'GetTransportInfo',
+            '<InstanceID>0</InstanceID>'
+        );
+        return {
+            state: VieraClient._xmlValue(response, 'CurrentTransportState'),
+            status: VieraClient._xmlValue(response, 'CurrentTransportStatus'),
+        };
+    }
+
+    /**
+     * Get playback position and duration in seconds and the current URI
+     */
+    async getPositionInfo() {
+        const response = await this._soapRequest(
+            this._controlUrl('AVTransport', '/dmr/control_2'),
+            URN_AVTRANSPORT,
+            'GetPositionInfo',
+            '<InstanceID>0</InstanceID>'
+        );
+        return {
+            position: VieraClient.parseDuration(VieraClient._xmlValue(response, 'RelTime')),
+            duration: VieraClient.parseDuration(VieraClient._xmlValue(response, 'TrackDuration')),
+            uri: VieraClient._xmlValue(response, 'TrackURI'),
+        };
+    }
+
+    /**
+     * Control URL of a service from the device description, or the fallback if unknown
+     */
+    _controlUrl(serviceName, fallback) {
+        const service = this.deviceInfo && this.deviceInfo.services.find(s => s.type.includes(`:${serviceName}:`));
+        return (service && service.controlUrl) || fallback;
+    }
+
+    /**
+     * Build DIDL-Lite metadata for a media URL
+     */
+    static buildDidl(url, options = {}) {
+        const mimeType = options.mimeType || VieraClient.guessMimeType(url);
+        let title = options.title || url.split('?')[0].split('/').pop() || 'ioBroker';
+        try { title = decodeURIComponent(title); } catch (_) { /* keep encoded name */ }
+        let upnpClass = 'object.item.videoItem';
+        if (mimeType.startsWith('audio/')) upnpClass = 'object.item.audioItem.musicTrack';
+        if (mimeType.startsWith('image/')) upnpClass = 'object.item.imageItem.photo';
+
+        return '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+            '<item id="0" parentID="-1" restricted="1">' +
+            `<dc:title>${VieraClient._escapeXml(title)}</dc:title>` +
+            `<upnp:class>${upnpClass}</upnp:class>` +
+            `<res protocolInfo="http-get:*:${mimeType}:*">${VieraClient._escapeXml(url)}</res>` +
+            '</item></DIDL-Lite>';
+    }
+
+    static guessMimeType(url) {
+        const path = String(url).split('?')[0].toLowerCase();
+        const ext = path.substring(path.lastIndexOf('.'));
+        return MIME_TYPES[ext] || 'video/mp4';
+    }
+
+    /**
+     * Convert H:MM:SS(.mmm) to seconds, null for NOT_IMPLEMENTED or empty values
+     */
+    static parseDuration(value) {
+        const match = String(value || '').match(/^(\d+):(\d{2}):(\d{2})/);
+        if (!match) return null;
+        return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    }
+
+    static formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const sec = total % 60;
+        return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+    }
+
+    static _escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Check if TV is reachable (power on and network available)
      */
-    isAvailable() {
-        return new Promise((resolve) => {
+    async isAvailable() {
+        try {
+            // No retries, an unreachable TV is the expected answer here
+            const res = await this._httpGet('/nrc/ddd.xml', { retries: 0 });
+            return res.statusCode === 200;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Read NRC and DMR device descriptions plus the actions of all advertised services.
+     * The result is cached in this.deviceInfo and used by supports().
+     */
+    async getDeviceInfo() {
+        const info = {
+            friendlyName: '',
+            modelName: '',
+            modelNumber: '',
+            manufacturer: '',
+            udn: '',
+            serialNumber: '',
+            services: [],
+            actions: [],
+        };
+
+        for (const path of ['/nrc/ddd.xml', '/dmr/ddd.xml']) {
+            let res;
+            try {
+                res = await this._httpGet(path);
+            } catch (err) {
+                if (this.log) this.log.debug(`Could not read ${path}: ${err.message}`);
+                continue;
+            }
+            if (res.statusCode !== 200) continue;
+
+            const xml = res.body;
+            info.friendlyName = info.friendlyName || VieraClient._xmlValue(xml, 'friendlyName');
+            info.modelName = info.modelName || VieraClient._xmlValue(xml, 'modelName');
+            info.modelNumber = info.modelNumber || VieraClient._xmlValue(xml, 'modelNumber');
+            info.manufacturer = info.manufacturer || VieraClient._xmlValue(xml, 'manufacturer');
+            info.udn = info.udn || VieraClient._xmlValue(xml, 'UDN');
+            info.serialNumber = info.serialNumber || VieraClient._xmlValue(xml, 'serialNumber');
+
+            // Relative URLs in the description are relative to its directory
+            const base = path.substring(0, path.lastIndexOf('/') + 1);
+            const resolve = (url) => !url || url.startsWith('/') ? url : base + url;
+
+            for (const block of xml.match(/<service>[\s\S]*?<\/service>/g) || []) {
+                const service = {
+                    type: VieraClient._xmlValue(block, 'serviceType'),
+                    scpdUrl: resolve(VieraClient._xmlValue(block, 'SCPDURL')),
+                    controlUrl: resolve(VieraClient._xmlValue(block, 'controlURL')),
+                    eventSubUrl: resolve(VieraClient._xmlValue(block, 'eventSubURL')),
+                    actions: [],
+                };
+                if (service.scpdUrl) {
+                    try {
+                        const scpd = await this._httpGet(service.scpdUrl);
+                        if (scpd.statusCode === 200) {
+                            service.actions = (scpd.body.match(/<action>\s*<name>[^<]+<\/name>/g) || [])
+                                .map(a => a.replace(/<action>\s*<name>|<\/name>/g, '').trim());
+                        }
+                    } catch (err) {
+                        if (this.log) this.log.debug(`Could not read ${service.scpdUrl}: ${err.message}`);
+                    }
+                }
+                info.services.push(service);
+                info.actions.push(...service.actions);
+            }
+        }
+
+        this.deviceInfo = info;
+        return info;
+    }
+
+    /**
+     * Check if the TV advertises an action. Returns true as long as the device
+     * description has not been read, so older code paths keep working.
+     */
+    supports(action) {
+        if (!this.deviceInfo || this.deviceInfo.actions.length === 0) return true;
+        return this.deviceInfo.actions.includes(action);
+    }
+
+    /**
+     * Subscribe to UPnP events of a service, resolves with { sid, timeout } (timeout in seconds)
+     */
+    async subscribe(eventPath, callbackUrl, timeout) {
+        const res = await this._genaRequest('SUBSCRIBE', eventPath, {
+            'CALLBACK': `<${callbackUrl}>`,
+            'NT': 'upnp:event',
+            'TIMEOUT': `Second-${timeout}`,
+        });
+        return VieraClient._parseSubscription(res, timeout);
+    }
+
+    /**
+     * Renew an existing subscription, fails with HTTP 412 if the TV forgot it (e.g. after reboot)
+     */
+    async renewSubscription(eventPath, sid, timeout) {
+        const res = await this._genaRequest('SUBSCRIBE', eventPath, {
+            'SID': sid,
+            'TIMEOUT': `Second-${timeout}`,
+        });
+        return VieraClient._parseSubscription(res, timeout);
+    }
+
+    async unsubscribe(eventPath, sid) {
+        await this._genaRequest('UNSUBSCRIBE', eventPath, { 'SID': sid });
+    }
+
+    _genaRequest(method, path, headers) {
+        return this._queue.push(() => new Promise((resolve, reject) => {
             const options = {
                 hostname: this.ip,
                 port: PORT,
-                path: '/nrc/ddd.xml',
+                path: path,
+                method: method,
+                timeout: TIMEOUT,
+                agent: this._agent,
+                headers: headers,
+            };
+
+            const req = http.request(options, (res) => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        resolve(res);
+                    } else {
+                        const err = new Error(`${method} failed: HTTP ${res.statusCode}`);
+                        err.statusCode = res.statusCode;
+                        reject(err);
+                    }
+                });
+            });
+
+            req.on('error', (err) => reject(err));
+            req.on('timeout', () => {
+                req.destroy();
+                reject(VieraClient._timeoutError(`${method} timed out`));
+            });
+
+            req.end();
+        }), { priority: PRIORITY.NORMAL, name: method });
+    }
+
+    static _parseSubscription(res, requestedTimeout) {
+        const sid = res.headers['sid'];
+        if (!sid) {
+            throw new Error('No SID in subscription response');
+        }
+        const timeout = parseInt((String(res.headers['timeout'] || '').match(/Second-(\d+)/i) || [])[1], 10);
+        return { sid, timeout: timeout || requestedTimeout };
+    }
+
+    /**
+     * Parse a RenderingControl NOTIFY body (LastChange), resolves to { volume, mute }
+     * with null for values not contained in the event
+     */
+    static parseLastChange(body) {
+        const lastChange = (body.match(/<LastChange>([\s\S]*?)<\/LastChange>/) || [])[1] || '';
+        const xml = lastChange
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        const masterValue = (tag) => {
+            for (const attrs of xml.match(new RegExp(`<${tag}\\b[^>]*>`, 'g')) || []) {
+                const channel = (attrs.match(/channel="([^"]*)"/) || [])[1];
+                const val = (attrs.match(/val="([^"]*)"/) || [])[1];
+                if ((!channel || channel === 'Master') && val !== undefined) return val;
+            }
+            return null;
+        };
+
+        const volume = masterValue('Volume');
+        const mute = masterValue('Mute');
+        return {
+            volume: volume !== null && !isNaN(parseInt(volume, 10)) ? parseInt(volume, 10) : null,
+            mute: mute !== null ? (mute === '1' || mute === 'true') : null,
+        };
+    }
+
+    /**
+     * Plain HTTP GET against the TV (queued with low priority), resolves with { statusCode, body }
+     */
+    _httpGet(path, queueOptions = {}) {
+        return this._queue.push(() => new Promise((resolve, reject) => {
+            const options = {
+                hostname: this.ip,
+                port: PORT,
+                path: path,
                 method: 'GET',
                 timeout: TIMEOUT,
+                agent: this._agent,
             };
 
             const req = http.request(options, (res) => {
                 let data = '';
                 res.on('data', (chunk) => data += chunk);
-                res.on('end', () => resolve(res.statusCode === 200));
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
             });
 
-            req.on('error', () => resolve(false));
+            req.on('error', (err) => reject(err));
             req.on('timeout', () => {
                 req.destroy();
-                resolve(false);
+                reject(VieraClient._timeoutError('HTTP request timed out'));
             });
 
             req.end();
+        }), { priority: PRIORITY.LOW, name: `GET ${path}`, ...queueOptions });
+    }
+
+    static _timeoutError(message) {
+        const err = new Error(message);
+        err.code = 'ETIMEDOUT';
+        return err;
+    }
+
+    static _xmlValue(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+        return match ? match[1].trim() : '';
+    }
+
+    /**
+     * Wake-on-LAN magic packet: 6x 0xFF followed by 16x the MAC (any separator)
+     */
+    static buildMagicPacket(mac) {
+        const hex = String(mac || '').replace(/[^0-9a-fA-F]/g, '');
+        if (hex.length !== 12) {
+            throw new Error(`Invalid MAC address: ${mac}`);
+        }
+        const macBytes = Buffer.from(hex, 'hex');
+        const packet = Buffer.alloc(102, 0xFF);
+        for (let i = 0; i < 16; i++) {
+            macBytes.copy(packet, 6 + i * 6);
+        }
+        return packet;
+    }
+
+    /**
+     * Send the Wake-on-LAN magic packet repeat times to the broadcast address
+     */
+    static sendWakeOnLan(mac, broadcast, repeat, log) {
+        let packet;
+        try {
+            packet = VieraClient.buildMagicPacket(mac);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        const address = broadcast || '255.255.255.255';
+        const count = Math.max(1, repeat || 1);
+
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            socket.on('error', (err) => {
+                try { socket.close(); } catch (_) {}
+                reject(new Error(`Wake-on-LAN failed: ${err.message}`));
+            });
+            socket.bind(() => {
+                socket.setBroadcast(true);
+                let sent = 0;
+                const sendNext = () => {
+                    socket.send(packet, 9, address, (err) => {
+                        if (err) {
+                            try { socket.close(); } catch (_) {}
+                            reject(new Error(`Wake-on-LAN failed: ${err.message}`));
+                            return;
+                        }
+                        if (++sent < count) {
+                            setTimeout(sendNext, 100);
+                        } else {
+                            socket.close();
+                            if (log) log.debug(`Sent ${count} magic packet(s) to ${mac} via ${address}`);
+                            resolve();
+                        }
+                    });
+                };
+                sendNext();
+            });
         });
     }
 
     /**
-     * Turn on Apple TV via atvscript (triggers HDMI-CEC to power on the TV)
+     * Look up the MAC address of a host in the local ARP table (Linux only), null if unknown
      */
-    static async turnOnAppleTv(appleTvConfig, log) {
+    static lookupMac(ip) {
+        try {
+            const lines = fs.readFileSync('/proc/net/arp', 'utf8').split('\n').slice(1);
+            for (const line of lines) {
+                const cols = line.trim().split(/\s+/);
+                if (cols[0] === ip && /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i.test(cols[3]) && cols[3] !== '00:00:00:00:00:00') {
+                    return cols[3].toUpperCase();
+                }
+            }
+        } catch (_) { /* no ARP table available */ }
+        return null;
+    }
+
+    /**
+     * Turn on Apple TV via atvremote (triggers HDMI-CEC to power on the TV).
+     * strategies: [{ id, timeout }] in the order to try, ids from APPLE_TV_WAKE_STRATEGIES.
+     * Resolves with the id of the strategy that worked.
+     */
+    static async turnOnAppleTv(appleTvConfig, log, strategies = VieraClient.defaultWakeStrategies()) {
         const atvremotePath = await VieraClient.ensureAtvremote(log);
 
         const creds = appleTvConfig.credentials || {};
@@ -173,57 +938,14 @@ class VieraClient {
             log.info(`Apple TV credentials: airplay=${creds.airplay ? 'yes (' + creds.airplay.length + ' chars)' : 'MISSING'}, companion=${creds.companion ? 'yes (' + creds.companion.length + ' chars)' : 'MISSING'}, mrp=${creds.mrp ? 'yes' : 'none'}`);
         }
 
-        // Build args for a specific protocol (or no protocol restriction)
-        const buildArgs = (protocol, port) => {
-            const args = ['-m'];
-            if (appleTvConfig.identifier) args.push('--id', appleTvConfig.identifier);
-            if (appleTvConfig.address) args.push('--address', appleTvConfig.address);
-            if (protocol) {
-                args.push('--protocol', protocol);
-                if (port) args.push('--port', String(port));
-            }
-            if (creds.mrp) args.push('--mrp-credentials', creds.mrp);
-            if (creds.airplay) args.push('--airplay-credentials', creds.airplay);
-            if (creds.companion) args.push('--companion-credentials', creds.companion);
-            return args;
-        };
-
-        const tryCommand = (args, label) => {
-            const safeArgs = args.map(a => a.length > 40 ? a.substring(0, 40) + '...' : a);
-            if (log) log.info(`Apple TV [${label}]: ${atvremotePath} ${safeArgs.join(' ')}`);
-
-            return new Promise((resolve, reject) => {
-                execFile(atvremotePath, args, { timeout: 30000 }, (error, stdout, stderr) => {
-                    const out = (stdout || '').trim();
-                    const err = (stderr || '').trim();
-                    if (out && log) log.info(`Apple TV [${label}] stdout: ${out.substring(0, 500)}`);
-                    if (err && log) log.info(`Apple TV [${label}] stderr: ${err.substring(0, 500)}`);
-                    if (error) {
-                        reject(new Error(`${label}: ${error.message}`));
-                        return;
-                    }
-                    if (log) log.info(`Apple TV [${label}]: OK`);
-                    resolve({ result: 'success', label, raw: out });
-                });
-            });
-        };
-
-        // Multiple strategies - try each until one succeeds
-        // Strategy 1: companion turn_on (most direct for newer tvOS)
-        // Strategy 2: airplay turn_on (works on some setups)
-        // Strategy 3: companion launch_app (opening an app triggers HDMI-CEC reliably)
-        // Strategy 4: companion home_hold (wakes from sleep → CEC)
-        const strategies = [
-            { label: 'turn_on (companion)', args: [...buildArgs('companion', 49153), 'turn_on'] },
-            { label: 'turn_on (airplay)', args: [...buildArgs('airplay', 7000), 'turn_on'] },
-            { label: 'launch_app (companion)', args: [...buildArgs('companion', 49153), 'launch_app=com.apple.TVWatchList'] },
-            { label: 'home_hold (companion)', args: [...buildArgs('companion', 49153), 'home_hold'] },
-        ];
-
-        for (const strategy of strategies) {
+        // Try each strategy until one succeeds
+        for (const { id, timeout } of strategies) {
+            const strategy = APPLE_TV_WAKE_STRATEGIES[id];
+            if (!strategy) continue;
+            const args = [...VieraClient._atvremoteArgs(appleTvConfig, strategy.protocol, strategy.port), strategy.command];
             try {
-                const result = await tryCommand(strategy.args, strategy.label);
-                return result;
+                await VieraClient._runAtvremote(atvremotePath, args, strategy.label, log, timeout);
+                return id;
             } catch (err) {
                 if (log) log.warn(`Apple TV ${strategy.label} failed: ${err.message}`);
             }
@@ -232,6 +954,60 @@ class VieraClient {
         throw new Error('All Apple TV wake strategies failed. Check credentials and network connectivity.');
     }
 
+    /**
+     * Put the Apple TV to sleep via atvremote turn_off (companion)
+     */
+    static async turnOffAppleTv(appleTvConfig, log) {
+        const atvremotePath = await VieraClient.ensureAtvremote(log);
+        const args = [...VieraClient._atvremoteArgs(appleTvConfig, 'companion', 49153), 'turn_off'];
+        return VieraClient._runAtvremote(atvremotePath, args, 'turn_off (companion)', log);
+    }
+
+    /**
+     * atvremote arguments for a specific protocol (or no protocol restriction)
+     */
+    static _atvremoteArgs(appleTvConfig, protocol, port) {
+        const creds = appleTvConfig.credentials || {};
+        const args = ['-m'];
+        if (appleTvConfig.identifier) args.push('--id', appleTvConfig.identifier);
+        if (appleTvConfig.address) args.push('--address', appleTvConfig.address);
+        if (protocol) {
+            args.push('--protocol', protocol);
+            if (port) args.push('--port', String(port));
+        }
+        if (creds.mrp) args.push('--mrp-credentials', creds.mrp);
+        if (creds.airplay) args.push('--airplay-credentials', creds.airplay);
+        if (creds.companion) args.push('--companion-credentials', creds.companion);
+        return args;
+    }
+
+    /**
+     * All wake strategies in the built-in order with the default timeout
+     */
+    static defaultWakeStrategies() {
+        return Object.keys(APPLE_TV_WAKE_STRATEGIES).map(id => ({ id, timeout: WAKE_TIMEOUT }));
+    }
+
+    static _runAtvremote(atvremotePath, args, label, log, timeout = WAKE_TIMEOUT) {
+        const safeArgs = args.map(a => a.length > 40 ? a.substring(0, 40) + '...' : a);
+        if (log) log.info(`Apple TV [${label}]: ${atvremotePath} ${safeArgs.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            execFile(atvremotePath, args, { timeout }, (error, stdout, stderr) => {
+                const out = (stdout || '').trim();
+                const err = (stderr || '').trim();
+                if (out && log) log.info(`Apple TV [${label}] stdout: ${out.substring(0, 500)}`);
+                if (err && log) log.info(`Apple TV [${label}] stderr: ${err.substring(0, 500)}`);
+                if (error) {
+                    reject(new Error(`${label}: ${error.message}`));
+                    return;
+                }
+                if (log) log.info(`Apple TV [${label}]: OK`);
+                resolve({ result: 'success', label, raw: out });
+            });
+        });
+    }
+
     /**
      * Scan for Apple TVs on the network.
      * If targetIp is given, uses unicast scan (--scan-hosts) which works in Docker.
@@ -283,6 +1059,102 @@ class VieraClient {
         });
     }
 
+    /**
+     * Discover Viera TVs via SSDP M-SEARCH.
+     * Resolves with [{ name, model, ip }], only Panasonic devices are returned.
+     */
+    static discoverTvs(log, timeout = 3000) {
+        return new Promise((resolve, reject) => {
+            const responders = new Map();
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+            socket.on('message', (msg, rinfo) => {
+                const response = VieraClient.parseSsdpResponse(msg.toString());
+                if (!response) return;
+                const entry = responders.get(rinfo.address) || { location: response.location, remote: false };
+                // Prefer the NetworkControl description, it describes the remote-capable device
+                if (response.remote) {
+                    entry.location = response.location;
+                    entry.remote = true;
+                }
+                responders.set(rinfo.address, entry);
+            });
+
+            socket.on('error', (err) => {
+                try { socket.close(); } catch (_) {}
+                reject(new Error(`SSDP discovery failed: ${err.message}`));
+            });
+
+            socket.bind(() => {
+                for (const st of SSDP_TARGETS) {
+                    const search = [
+                        'M-SEARCH * HTTP/1.1',
+                        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+                        'MAN: "ssdp:discover"',
+                        'MX: 2',
+                        `ST: ${st}`,
+                        '', '',
+                    ].join('\r\n');
+                    socket.send(search, SSDP_PORT, SSDP_ADDRESS);
+                }
+                if (log) log.info(`SSDP discovery started (${timeout}ms)`);
+            });
+
+            setTimeout(async () => {
+                try { socket.close(); } catch (_) {}
+                const devices = [];
+                for (const [ip, entry] of responders) {
+                    try {
+                        const xml = await VieraClient._fetchUrl(entry.location);
+                        const manufacturer = VieraClient._xmlValue(xml, 'manufacturer');
+                        if (!entry.remote && !/panasonic/i.test(manufacturer)) continue;
+                        devices.push({
+                            name: VieraClient._xmlValue(xml, 'friendlyName') || ip,
+                            model: VieraClient._xmlValue(xml, 'modelNumber') || VieraClient._xmlValue(xml, 'modelName'),
+                            ip,
+                        });
+                    } catch (err) {
+                        if (log) log.debug(`Could not read description of ${ip}: ${err.message}`);
+                    }
+                }
+                if (log) log.info(`SSDP discovery found ${devices.length} Viera TV(s)`);
+                resolve(devices);
+            }, timeout);
+        });
+    }
+
+    /**
+     * Read LOCATION and ST of an M-SEARCH answer, remote is true for the
+     * NetworkControl device. null without LOCATION.
+     */
+    static parseSsdpResponse(text) {
+        const location = (text.match(/^LOCATION:\s*(.+?)\s*$/mi) || [])[1];
+        const st = (text.match(/^ST:\s*(.+?)\s*$/mi) || [])[1] || '';
+        if (!location) return null;
+        return { location, st, remote: st === SSDP_TARGETS[0] };
+    }
+
+    static _fetchUrl(url) {
+        return new Promise((resolve, reject) => {
+            const req = http.get(url, { timeout: TIMEOUT }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => data += chunk);
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        resolve(data);
+                    } else {
+                        reject(new Error(`HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+            req.on('error', (err) => reject(err));
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('HTTP request timed out'));
+            });
+        });
+    }
+
     /**
      * Start Apple TV pairing process
      */
@@ -454,14 +1326,13 @@ class VieraClient {
      * This survives Docker container recreation since /opt/iobroker is a mounted volume.
      */
     static async installPyatv(log) {
-        const { execSync } = require('child_process');
         const venv = VieraClient.VENV_PATH;
 
         // If venv already exists but python is broken (container recreated), remove and recreate
         try {
             if (fs.existsSync(`${venv}/bin`) && !fs.existsSync(`${venv}/bin/python3`)) {
                 if (log) log.info('Existing venv is broken (container recreated?), removing...');
-                execSync(`rm -rf ${venv}`, { timeout: 10000, stdio: 'pipe' });
+                await fs.promises.rm(venv, { recursive: true, force: true });
             }
         } catch (_) { /* ignore */ }
 
@@ -475,7 +1346,7 @@ class VieraClient {
         for (const method of venvMethods) {
             try {
                 if (log) log.info(`Installing pyatv via ${method.label} to ${venv}...`);
-                execSync(method.cmd, { timeout: 300000, stdio: 'pipe' });
+                await execAsync(method.cmd, { timeout: 300000 });
                 if (log) log.info(`pyatv installed successfully via ${method.label}`);
                 return;
             } catch (err) {
@@ -494,7 +1365,7 @@ class VieraClient {
         for (const method of systemMethods) {
             try {
                 if (log) log.info(`Installing pyatv via ${method.label} (system-wide fallback)...`);
-                execSync(method.cmd, { timeout: 180000, stdio: 'pipe' });
+                await execAsync(method.cmd, { timeout: 180000 });
                 if (log) log.info(`pyatv installed successfully via ${method.label}`);
                 return;
             } catch (err) {
@@ -505,23 +1376,33 @@ class VieraClient {
     }
 
     /**
-     * Find atvremote binary, install pyatv if not found
+     * Find atvremote binary, install pyatv if not found. Resolved once per process,
+     * every caller (wake, scan, pairing, helper restarts) shares the result.
      */
-    static async ensureAtvremote(log) {
+    static ensureAtvremote(log) {
+        if (!atvremoteRequest) {
+            atvremoteRequest = VieraClient._resolveAtvremote(log).catch((err) => {
+                // Try again on the next call, e.g. after a manual installation
+                atvremoteRequest = null;
+                throw err;
+            });
+        }
+        return atvremoteRequest;
+    }
+
+    static async _resolveAtvremote(log) {
         let path = VieraClient._findBinary('atvremote');
 
         // Verify the binary actually works (venv python symlink may be broken after container recreation)
         if (path) {
             try {
-                const { execSync } = require('child_process');
-                execSync(`${path} --version`, { timeout: 10000, stdio: 'pipe' });
+                await execFileAsync(path, ['--version'], { timeout: 10000 });
                 return path;
             } catch (err) {
                 if (log) log.warn(`atvremote found at ${path} but not working (${err.message}), reinstalling...`);
                 // Remove broken venv
                 try {
-                    const { execSync } = require('child_process');
-                    execSync(`rm -rf ${VieraClient.VENV_PATH}`, { timeout: 10000, stdio: 'pipe' });
+                    await fs.promises.rm(VieraClient.VENV_PATH, { recursive: true, force: true });
                 } catch (_) { /* ignore */ }
                 path = null;
             }
@@ -539,15 +1420,15 @@ class VieraClient {
     }
 
     /**
-     * Send a channel number by pressing digit keys with delays
+     * Send a channel number as digit keys, queued on the sequence runner
      */
     async sendChannelNumber(channelNumber) {
-        const digits = String(channelNumber).split('');
-        for (const digit of digits) {
-            await this.sendKey(`NRC_D${digit}-ONOFF`);
-            await new Promise((resolve) => setTimeout(resolve, 300));
-        }
+        const steps = String(channelNumber).split('').map(digit => ({ type: 'key', code: `NRC_D${digit}-ONOFF` }));
+        await this.sequences.run(steps);
     }
 }
 
+VieraClient.SoapError = SoapError;
+VieraClient.APPLE_TV_WAKE_STRATEGIES = APPLE_TV_WAKE_STRATEGIES;
+
 module.exports = VieraClient;
@@ -0,0 +1,103 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// HMAC key mask used during PIN pairing (taken from Panasonic's libtvconnect)
+const HMAC_KEY_MASK = Buffer.from([
+    0x15, 0xC9, 0x5A, 0xC2, 0xB0, 0x8A, 0xA7, 0xEB, 0x4E, 0x22, 0x8F, 0x81, 0x1E, 0x34, 0xD0, 0x4F,
+    0xA5, 0x4B, 0xA7, 0xDC, 0xAC, 0x98, 0x79, 0xFA, 0x8A, 0xCD, 0xA3, 0xFC, 0x24, 0x4F, 0x38, 0x54,
+]);
+
+const HMAC_LENGTH = 32;
+
+/**
+ * Derive AES key, HMAC key and IV from the challenge key returned by X_DisplayPinCode
+ */
+function derivePairingKeys(challengeKey) {
+    const iv = Buffer.from(challengeKey, 'base64');
+    const key = Buffer.alloc(16);
+    for (let i = 0; i < 16; i += 4) {
+        key[i] = ~iv[i + 3] & 0xFF;
+        key[i + 1] = ~iv[i + 2] & 0xFF;
+        key[i + 2] = ~iv[i + 1] & 0xFF;
+        key[i + 3] = ~iv[i] & 0xFF;
+    }
+    const hmacKey = Buffer.alloc(32);
+    for (let i = 0; i < 32; i += 4) {
+        hmacKey[i] = HMAC_KEY_MASK[i] ^ iv[(i + 2) & 0xF];
+        hmacKey[i + 1] = HMAC_KEY_MASK[i + 1] ^ iv[(i + 3) & 0xF];
+        hmacKey[i + 2] = HMAC_KEY_MASK[i + 2] ^ iv[i & 0xF];
+        hmacKey[i + 3] = HMAC_KEY_MASK[i + 3] ^ iv[(i + 1) & 0xF];
+    }
+    return { key, hmacKey, iv };
+}
+
+/**
+ * Derive session AES key, HMAC key and IV from the encryption key (X_Keyword) stored after pairing
+ */
+function deriveSessionKeys(encryptionKey) {
+    const iv = Buffer.from(encryptionKey, 'base64');
+    const key = Buffer.alloc(16);
+    for (let i = 0; i < 16; i += 4) {
+        key[i] = iv[i + 2];
+        key[i + 1] = iv[i + 3];
+        key[i + 2] = iv[i];
+        key[i + 3] = iv[i + 1];
+    }
+    // HMAC key for session commands is just the IV repeated twice
+    const hmacKey = Buffer.concat([iv, iv]);
+    return { key, hmacKey, iv };
+}
+
+/**
+ * Encrypt a SOAP payload: 12 random bytes + 4 byte length header, AES-128-CBC with
+ * zero padding, followed by an HMAC-SHA256 signature. Returns base64.
+ */
+function encryptPayload(data, keys) {
+    const plain = Buffer.from(data, 'latin1');
+    const header = Buffer.alloc(16);
+    crypto.randomBytes(12).copy(header);
+    header.writeUInt32BE(plain.length, 12);
+
+    let payload = Buffer.concat([header, plain]);
+    const remainder = payload.length % 16;
+    if (remainder) {
+        payload = Buffer.concat([payload, Buffer.alloc(16 - remainder)]);
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-cbc', keys.key, keys.iv);
+    cipher.setAutoPadding(false);
+    const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+    const signature = crypto.createHmac('sha256', keys.hmacKey).update(encrypted).digest();
+    return Buffer.concat([encrypted, signature]).toString('base64');
+}
+
+/**
+ * Decrypt a base64 payload from the TV and strip header and zero padding
+ */
+function decryptPayload(data, keys) {
+    let encrypted = Buffer.from(data, 'base64');
+
+    // Strip a trailing HMAC signature if the TV sent one
+    if (encrypted.length > HMAC_LENGTH) {
+        const body = encrypted.subarray(0, encrypted.length - HMAC_LENGTH);
+        const signature = crypto.createHmac('sha256', keys.hmacKey).update(body).digest();
+        if (signature.equals(encrypted.subarray(encrypted.length - HMAC_LENGTH))) {
+            encrypted = body;
+        }
+    }
+
+    const decipher = crypto.createDecipheriv('aes-128-cbc', keys.key, keys.iv);
+    decipher.setAutoPadding(false);
+    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    const text = decrypted.subarray(16).toString('utf8');
+    const end = text.indexOf('\0');
+    return end === -1 ? text : text.substring(0, end);
+}
+
+module.exports = {
+    derivePairingKeys,
+    deriveSessionKeys,
+    encryptPayload,
+    decryptPayload,
+};
@@ -1,59 +1,23 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const utils = require('@iobroker/adapter-core');
 const VieraClient = require('./lib/viera-client');
+const EventServer = require('./lib/event-server');
+const MediaServer = require('./lib/media-server');
+const AppleTv = require('./lib/apple-tv');
+const PowerOn = require('./lib/power-on');
+const SoapError = require('./lib/soap-error');
+const SequenceRunner = require('./lib/sequence-runner');
+const { KEY_GROUPS, KEYS, resolveKey } = require('./lib/nrc-keys');
+const { POWER_STATES, nextPowerState, pollingInterval, countOffPolls } = require('./lib/power-state');
 
-// Maps ioBroker state names to NRC key codes
-const REMOTE_KEYS = {
-    channelUp: 'NRC_CH_UP-ONOFF',
-    channelDown: 'NRC_CH_DOWN-ONOFF',
-    volumeUp: 'NRC_VOLUP-ONOFF',
-    volumeDown: 'NRC_VOLDOWN-ONOFF',
-    up: 'NRC_UP-ONOFF',
-    down: 'NRC_DOWN-ONOFF',
-    left: 'NRC_LEFT-ONOFF',
-    right: 'NRC_RIGHT-ONOFF',
-    ok: 'NRC_ENTER-ONOFF',
-    enter: 'NRC_ENTER-ONOFF',
-    back: 'NRC_RETURN-ONOFF',
-    menu: 'NRC_MENU-ONOFF',
-    home: 'NRC_MENU-ONOFF',
-    play: 'NRC_PLAY-ONOFF',
-    pause: 'NRC_PAUSE-ONOFF',
-    stop: 'NRC_STOP-ONOFF',
-    rewind: 'NRC_REW-ONOFF',
-    forward: 'NRC_FF-ONOFF',
-    red: 'NRC_RED-ONOFF',
-    green: 'NRC_GREEN-ONOFF',
-    yellow: 'NRC_YELLOW-ONOFF',
-    blue: 'NRC_BLUE-ONOFF',
-    epg: 'NRC_EPG-ONOFF',
-    text: 'NRC_TEXT-ONOFF',
-    subtitles: 'NRC_STTL-ONOFF',
-    info: 'NRC_INFO-ONOFF',
-    hdmi1: 'NRC_HDMI1-ONOFF',
-    hdmi2: 'NRC_HDMI2-ONOFF',
-    hdmi3: 'NRC_HDMI3-ONOFF',
-    hdmi4: 'NRC_HDMI4-ONOFF',
-    tv: 'NRC_TV-ONOFF',
-    lastView: 'NRC_R_TUNE-ONOFF',
-    d0: 'NRC_D0-ONOFF',
-    d1: 'NRC_D1-ONOFF',
-    d2: 'NRC_D2-ONOFF',
-    d3: 'NRC_D3-ONOFF',
-    d4: 'NRC_D4-ONOFF',
-    d5: 'NRC_D5-ONOFF',
-    d6: 'NRC_D6-ONOFF',
-    d7: 'NRC_D7-ONOFF',
-    d8: 'NRC_D8-ONOFF',
-    d9: 'NRC_D9-ONOFF',
-    '3d': 'NRC_3D-ONOFF',
-    apps: 'NRC_APPS-ONOFF',
-    mute: 'NRC_MUTE-ONOFF',
-    submenu: 'NRC_SUBMENU-ONOFF',
-    inputSwitch: 'NRC_CHG_INPUT-ONOFF',
-    record: 'NRC_REC-ONOFF',
-};
+// Requested lifetime of GENA subscriptions in seconds
+const EVENT_TIMEOUT = 300;
+// Callback path for RenderingControl events on the local event server
+const RENDERING_EVENT_PATH = '/rendering';
 
 // Input name to NRC key mapping
 const INPUT_KEYS = {
@@ -64,13 +28,84 @@ const INPUT_KEYS = {
     TV: 'NRC_TV-ONOFF',
 };
 
+// Sleep timer: countdown tick and length of the volume fade before switching off
+const SLEEP_TICK = 5000;
+const SLEEP_FADE_SECONDS = 60;
+// A sleep timer that ran out while the adapter was down still switches off if it is this recent
+const SLEEP_MISSED_LIMIT = 10 * 60000;
+
+// Key codes that switch the TV to a known input
+const INPUT_BY_KEY = {
+    'NRC_TV': 'TV',
+    'NRC_HDMI1': 'HDMI1',
+    'NRC_HDMI2': 'HDMI2',
+    'NRC_HDMI3': 'HDMI3',
+    'NRC_HDMI4': 'HDMI4',
+};
+
+// appletv.remote.* buttons and the pyatv remote_control method they call
+const APPLE_TV_KEYS = {
+    up: { key: 'up', name: 'Up' },
+    down: { key: 'down', name: 'Down' },
+    left: { key: 'left', name: 'Left' },
+    right: { key: 'right', name: 'Right' },
+    select: { key: 'select', name: 'Select / OK' },
+    menu: { key: 'menu', name: 'Menu / Back' },
+    home: { key: 'home', name: 'Home (TV app)' },
+    topMenu: { key: 'top_menu', name: 'Top menu' },
+    play: { key: 'play', name: 'Play' },
+    pause: { key: 'pause', name: 'Pause' },
+    playPause: { key: 'play_pause', name: 'Play / pause' },
+    stop: { key: 'stop', name: 'Stop' },
+    next: { key: 'next', name: 'Next' },
+    previous: { key: 'previous', name: 'Previous' },
+    skipForward: { key: 'skip_forward', name: 'Skip forward' },
+    skipBackward: { key: 'skip_backward', name: 'Skip backward' },
+    volumeUp: { key: 'volume_up', name: 'Volume up' },
+    volumeDown: { key: 'volume_down', name: 'Volume down' },
+};
+
+// Values of appletv.playState (pyatv DeviceState)
+const APPLE_TV_PLAY_STATES = {
+    idle: 'Idle',
+    loading: 'Loading',
+    paused: 'Paused',
+    playing: 'Playing',
+    stopped: 'Stopped',
+    seeking: 'Seeking',
+};
+
+// sendTo commands for scripts, answered with { ok, error, data }
+const API_COMMANDS = ['sendKey', 'sendKeys', 'setVolume', 'getVolume', 'setMute', 'volumeFade', 'setChannel', 'setInput', 'powerOn', 'powerOff', 'announce', 'getStatus'];
+
+// info.* states filled from the NRC/DMR device descriptions
+const DEVICE_INFO_STATES = {
+    name: { name: 'TV Name', field: 'friendlyName' },
+    manufacturer: { name: 'Manufacturer', field: 'manufacturer' },
+    model: { name: 'Model', field: 'modelName' },
+    modelNumber: { name: 'Model Number', field: 'modelNumber' },
+    udn: { name: 'Unique Device Name (UDN)', field: 'udn' },
+    serial: { name: 'Serial Number', field: 'serialNumber' },
+};
+
 class PanasonicViera extends utils.Adapter {
     constructor(options) {
         super({ ...options, name: 'panasonic-viera' });
-        this.client = null;
-        this.pollingTimer = null;
-        this.tvAvailable = false;
+        this.tvs = new Map();
+        this.eventServer = null;
+        this.mediaServer = null;
+        this.appleTv = null;
+        this.appleTvApps = [];
+        // URL path of the current Apple TV artwork on the media server
+        this.appleTvArtwork = null;
+        this.appleTvPower = null;
+        this.lastWakeStrategy = '';
         this._pairProcess = null;
+        this._tvPairClient = null;
+        // Row of the tvs table that is being paired, null for the single-TV settings
+        this._tvPairRow = null;
+        this.quietHoursTimer = null;
+        this.unloading = false;
 
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
@@ -79,218 +114,1965 @@ class PanasonicViera extends utils.Adapter {
     }
 
     async onReady() {
-        const ip = this.config.ip;
-        if (!ip) {
+        const tvConfigs = this.getTvConfigs();
+        if (tvConfigs.length === 0) {
             this.log.error('No TV IP address configured!');
             this.setState('info.connection', false, true);
             return;
         }
 
-        this.client = new VieraClient(ip, this.log);
-        this.log.info(`Panasonic Viera TV adapter starting for IP: ${ip}`);
+        for (const tvConfig of tvConfigs) {
+            const tv = {
+                ...tvConfig,
+                client: new VieraClient(tvConfig.ip, this.log, {
+                    appId: tvConfig.appId,
+                    encryptionKey: tvConfig.encryptionKey,
+                    requestGap: this.config.requestGap,
+                    requestRetries: this.config.requestRetries,
+                    onKeySent: (code) => this.trackKey(tv, code).catch(err => this.log.debug(`Could not track key: ${err.message}`)),
+                }),
+                pollingTimer: null,
+                pollingInterval: 0,
+                nextPollAt: 0,
+                fastPollUntil: 0,
+                offPolls: 0,
+                polling: false,
+                available: false,
+                powerState: null,
+                failures: 0,
+                waking: false,
+                graceUntil: 0,
+                appList: [],
+                renderingSubscription: null,
+                announceQueue: Promise.resolve(),
+                input: null,
+                inputBeforeMedia: null,
+                currentChannel: 0,
+                tunerChannel: 0,
+                volumeFade: null,
+                duckedVolume: null,
+                sleep: null,
+                quietWindow: null,
+                quietOverride: null,
+                linkedPowerOff: false,
+            };
+            this.tvs.set(tv.id, tv);
+            this.log.info(`Panasonic Viera TV "${tv.name}" at ${tv.ip}${tv.client.isEncrypted ? ' (encrypted)' : ''}`);
+        }
+        await this.migrateLegacyStates();
+
+        for (const tv of this.tvs.values()) {
+            await this.createStates(tv);
+            const currentChannel = await this.getStateAsync(`${tv.id}.currentChannel`);
+            tv.currentChannel = (currentChannel && currentChannel.val) || 0;
+            tv.tunerChannel = tv.currentChannel;
+            const input = await this.getStateAsync(`${tv.id}.input`);
+            tv.input = (input && input.ack && input.val) || null;
+        }
 
-        await this.createStates();
         this.subscribeStates('*');
-        await this.pollStatus();
-        this.startPolling();
+        if (this.config.useEvents) {
+            await this.startEventServer();
+        }
+        if (this.config.mediaServerEnabled) {
+            await this.startMediaServer();
+        }
+        const lastWake = await this.getStateAsync('info.appleTvWakeStrategy');
+        this.lastWakeStrategy = (lastWake && lastWake.val) || '';
+
+        // The helper also speeds up power-on, keep it running for Apple TV power-on as well
+        const appleTvPowerOn = [...this.tvs.values()].some(tv => this.usesAppleTv(tv));
+        if (this.config.appleTvControl || appleTvPowerOn) {
+            await this.startAppleTv();
+        } else {
+            await this.setStateAsync('info.appleTvHelper', 'stopped', true);
+        }
+        for (const tv of this.tvs.values()) {
+            await this.pollStatus(tv);
+            this.startPolling(tv);
+            await this.restoreSleepTimer(tv);
+        }
+        if (this.getQuietHours().length > 0) {
+            this.quietHoursTimer = this.setInterval(() => this.checkQuietHours(), 60000);
+            await this.checkQuietHours();
+        }
+    }
+
+    /**
+     * TVs from the table in the adapter config. Without table entries the single
+     * IP (and its Wake-on-LAN/Apple TV/pairing settings) is used as one TV.
+     */
+    getTvConfigs() {
+        let rows = (Array.isArray(this.config.tvs) ? this.config.tvs : []).filter(row => row && row.ip);
+        if (rows.length === 0 && this.config.ip) {
+            let powerOn = 'none';
+            if (this.config.useWol && this.config.useAppleTv) powerOn = 'wolAppleTv';
+            else if (this.config.useWol) powerOn = 'wol';
+            else if (this.config.useAppleTv) powerOn = 'appleTv';
+            rows = [{
+                name: 'TV',
+                ip: this.config.ip,
+                powerOn,
+                mac: this.config.wolMac,
+                appId: this.config.tvAppId,
+                encryptionKey: this.config.tvEncryptionKey,
+            }];
+        }
+
+        const usedIds = new Set();
+        return rows.map((row, index) => {
+            let id = String(row.name || '').trim().replace(this.FORBIDDEN_CHARS, '_').replace(/[\s.]/g, '_') || `tv${index + 1}`;
+            // "info" and "appletv" are taken by the adapter's own channels
+            if (id === 'info' || id === 'appletv' || usedIds.has(id)) id = `${id}_${index + 1}`;
+            usedIds.add(id);
+            return {
+                id,
+                name: row.name || id,
+                ip: String(row.ip).trim(),
+                powerOn: row.powerOn || 'none',
+                mac: row.mac || '',
+                appId: row.appId || '',
+                encryptionKey: row.encryptionKey || '',
+            };
+        });
+    }
+
+    /**
+     * Find a TV by id, name or IP. Without a reference the first TV is returned.
+     */
+    getTv(ref) {
+        if (!ref) return this.tvs.values().next().value || null;
+        for (const tv of this.tvs.values()) {
+            if (tv.id === ref || tv.name === ref || tv.ip === ref) return tv;
+        }
+        return null;
     }
 
-    async createStates() {
+    /**
+     * Up to version 0.1.0 the states of the one TV were directly below the instance
+     * (power, volume, ..., remote.*). They now live below the TV device, the
+     * old objects are deleted so scripts fail visibly instead of reading dead states.
+     */
+    async migrateLegacyStates() {
+        const legacy = [];
+        for (const id of ['power', 'volume', 'mute', 'channel', 'input', 'remote']) {
+            // A TV may be named like one of the old states
+            if (this.tvs.has(id)) continue;
+            const obj = await this.getObjectAsync(id);
+            if (!obj || obj.type !== (id === 'remote' ? 'channel' : 'state')) continue;
+            await this.delObjectAsync(id, { recursive: id === 'remote' });
+            legacy.push(id);
+        }
+        if (legacy.length > 0) {
+            const tv = this.tvs.values().next().value;
+            this.log.warn(`Removed old states ${legacy.join(', ')}. States are now below the TV device, e.g. ${this.namespace}.${tv.id}.power - please update scripts and visualizations.`);
+        }
+    }
+
+    async createStates(tv) {
+        await this.setObjectNotExistsAsync(tv.id, {
+            type: 'device',
+            common: { name: tv.name },
+            native: { ip: tv.ip },
+        });
+
+        // Device information
+        await this.setObjectNotExistsAsync(`${tv.id}.info`, {
+            type: 'channel',
+            common: { name: 'TV Information' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.reachable`, {
+            type: 'state',
+            common: { name: 'TV reachable', type: 'boolean', role: 'indicator.reachable', read: true, write: false, def: false },
+            native: {},
+        });
+        for (const [key, def] of Object.entries(DEVICE_INFO_STATES)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.info.${key}`, {
+                type: 'state',
+                common: { name: def.name, type: 'string', role: 'info.name', read: true, write: false, def: '' },
+                native: {},
+            });
+        }
+        await this.setObjectNotExistsAsync(`${tv.id}.info.mac`, {
+            type: 'state',
+            common: { name: 'MAC address (learned)', type: 'string', role: 'info.mac', read: true, write: false, def: '' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.services`, {
+            type: 'state',
+            common: { name: 'Advertised UPnP services', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.actions`, {
+            type: 'state',
+            common: { name: 'Supported SOAP actions', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.pollingInterval`, {
+            type: 'state',
+            common: { name: 'Effective polling interval', type: 'number', role: 'value.interval', unit: 's', read: true, write: false, def: 0 },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.lastError`, {
+            type: 'state',
+            common: { name: 'Last error', type: 'string', role: 'text', read: true, write: false, def: '' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.lastErrorCode`, {
+            type: 'state',
+            common: { name: 'Last error code (UPnP error code or HTTP status)', type: 'number', role: 'value', read: true, write: false, def: 0 },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.info.lastErrorTime`, {
+            type: 'state',
+            common: { name: 'Time of last error', type: 'number', role: 'value.time', read: true, write: false, def: 0 },
+            native: {},
+        });
+
         // Power
-        await this.setObjectNotExistsAsync('power', {
+        await this.setObjectNotExistsAsync(`${tv.id}.power`, {
             type: 'state',
             common: { name: 'Power', type: 'boolean', role: 'switch.power', read: true, write: true, def: false },
             native: {},
         });
 
+        await this.setObjectNotExistsAsync(`${tv.id}.powerState`, {
+            type: 'state',
+            common: { name: 'Power state', type: 'string', role: 'state', read: true, write: false, def: '', states: POWER_STATES },
+            native: {},
+        });
+
         // Volume
-        await this.setObjectNotExistsAsync('volume', {
+        await this.setObjectNotExistsAsync(`${tv.id}.volume`, {
             type: 'state',
             common: { name: 'Volume', type: 'number', role: 'level.volume', read: true, write: true, min: 0, max: 100, def: 0 },
             native: {},
         });
+        // Sleep timer, the end time survives adapter restarts
+        const sleepStates = {
+            sleepTimer: { name: 'Sleep timer (minutes, 0 = off)', type: 'number', role: 'level.timer', unit: 'min', min: 0, max: 1440, read: true, write: true, def: 0 },
+            sleepTimerRemaining: { name: 'Sleep timer remaining', type: 'number', role: 'value.interval', unit: 's', read: true, write: false, def: 0 },
+            sleepTimerEnd: { name: 'Sleep timer ends at', type: 'number', role: 'value.time', read: true, write: false, def: 0 },
+        };
+        for (const [key, common] of Object.entries(sleepStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.${key}`, { type: 'state', common, native: {} });
+        }
+
+        const volumeStates = {
+            volumeFade: { name: 'Fade volume ({"target":10,"duration":30})', type: 'string', role: 'json', read: true, write: true, def: '' },
+            volumeStep: { name: 'Change volume by (+/-)', type: 'number', role: 'level', read: true, write: true, min: -100, max: 100, def: 0 },
+            duck: { name: 'Lower volume temporarily', type: 'boolean', role: 'button', read: false, write: true },
+            unduck: { name: 'Restore volume after duck', type: 'boolean', role: 'button', read: false, write: true },
+            ducked: { name: 'Volume lowered', type: 'boolean', role: 'indicator', read: true, write: false, def: false },
+        };
+        for (const [key, common] of Object.entries(volumeStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.${key}`, { type: 'state', common, native: {} });
+        }
+
+        // Mute
+        await this.setObjectNotExistsAsync(`${tv.id}.mute`, {
+            type: 'state',
+            common: { name: 'Mute', type: 'boolean', role: 'media.mute', read: true, write: true, def: false },
+            native: {},
+        });
+
+        // Channel (direct number input, reads the last known channel, null = unknown)
+        await this.extendObjectAsync(`${tv.id}.channel`, {
+            type: 'state',
+            common: { name: 'Channel Number', type: 'number', role: 'level.channel', read: true, write: true, min: 1, max: 9999 },
+            native: {},
+        });
+
+        // Channel by name, the list comes from the channel table in the adapter config
+        const channelStates = {};
+        for (const ch of this.getChannelList()) {
+            channelStates[ch.name] = `${ch.number} - ${ch.name}`;
+        }
+        await this.extendObjectAsync(`${tv.id}.channelName`, {
+            type: 'state',
+            common: { name: 'Channel by name', type: 'string', role: 'media.channel', read: true, write: true, def: '', states: channelStates },
+            native: {},
+        });
+
+        // Last channel selected by the adapter (the TV does not report it)
+        const currentChannelStates = {
+            currentChannel: { name: 'Current channel (last selected)', type: 'number', role: 'value.channel', read: true, write: false, def: 0 },
+            currentChannelName: { name: 'Current channel name', type: 'string', role: 'media.channel', read: true, write: false, def: '' },
+            currentChannelLogo: { name: 'Current channel logo', type: 'string', role: 'media.cover', read: true, write: false, def: '' },
+        };
+        for (const [key, common] of Object.entries(currentChannelStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.${key}`, { type: 'state', common, native: {} });
+        }
+
+        await this.setObjectNotExistsAsync(`${tv.id}.favorites`, {
+            type: 'channel',
+            common: { name: 'Favorite channels' },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.favorites.next`, {
+            type: 'state',
+            common: { name: 'Next favorite channel', type: 'boolean', role: 'button.next', read: false, write: true },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${tv.id}.favorites.previous`, {
+            type: 'state',
+            common: { name: 'Previous favorite channel', type: 'boolean', role: 'button.prev', read: false, write: true },
+            native: {},
+        });
+
+        // Input source (reads the last known input, null = unknown)
+        await this.extendObjectAsync(`${tv.id}.input`, {
+            type: 'state',
+            common: {
+                name: 'Input Source',
+                type: 'string',
+                role: 'media.input',
+                read: true,
+                write: true,
+                states: { HDMI1: 'HDMI 1', HDMI2: 'HDMI 2', HDMI3: 'HDMI 3', HDMI4: 'HDMI 4', TV: 'TV', APP: 'App', DLNA: 'DLNA playback' },
+            },
+            native: {},
+        });
+
+        // Remote control channel
+        await this.setObjectNotExistsAsync(`${tv.id}.remote`, {
+            type: 'channel',
+            common: { name: 'Remote Control' },
+            native: {},
+        });
+
+        // Create all remote button states, grouped in sub-channels
+        for (const [groupId, group] of Object.entries(KEY_GROUPS)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.remote.${groupId}`, {
+                type: 'channel',
+                common: { name: group.name },
+                native: {},
+            });
+            // extend, not set: names and codes follow the catalog, custom settings of the objects stay
+            for (const [key, def] of Object.entries(group.keys)) {
+                await this.extendObjectAsync(`${tv.id}.remote.${groupId}.${key}`, {
+                    type: 'state',
+                    common: { name: def.name, type: 'boolean', role: 'button', read: false, write: true },
+                    native: { nrcCode: def.code },
+                });
+            }
+        }
+
+        // Free-form key codes and long presses
+        const keyStates = {
+            rawKey: { name: 'Send key (name or NRC_ code)', type: 'string', role: 'text', read: true, write: true, def: '' },
+            hold: { name: 'Hold key ("<key> [ms]")', type: 'string', role: 'text', read: true, write: true, def: '' },
+            holdDuration: { name: 'Default hold duration', type: 'number', role: 'level', unit: 'ms', min: 100, max: 30000, read: true, write: true, def: 1000 },
+        };
+        for (const [key, common] of Object.entries(keyStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.remote.${key}`, { type: 'state', common, native: {} });
+        }
+
+        // Key sequences ("MENU, DOWN x3, ENTER, WAIT 2000, BACK")
+        const sequenceStates = {
+            sequence: { name: 'Run key sequence', type: 'string', role: 'text', read: true, write: true, def: '' },
+            sequenceCancel: { name: 'Cancel running sequences', type: 'boolean', role: 'button', read: false, write: true },
+            sequenceRunning: { name: 'Sequence running', type: 'boolean', role: 'indicator.working', read: true, write: false, def: false },
+            sequenceProgress: { name: 'Sequence progress', type: 'number', role: 'value', unit: '%', min: 0, max: 100, read: true, write: false, def: 0 },
+            sequenceError: { name: 'Last sequence error', type: 'string', role: 'text', read: true, write: false, def: '' },
+        };
+        for (const [key, common] of Object.entries(sequenceStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.remote.${key}`, { type: 'state', common, native: {} });
+        }
+
+        await this.createMacroStates(tv);
+
+        // Apps channel
+        await this.setObjectNotExistsAsync(`${tv.id}.apps`, {
+            type: 'channel',
+            common: { name: 'TV Apps' },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${tv.id}.apps.launch`, {
+            type: 'state',
+            common: { name: 'Launch App', type: 'string', role: 'state', read: true, write: true, def: '', states: {} },
+            native: {},
+        });
+
+        // DLNA media playback (AVTransport)
+        await this.setObjectNotExistsAsync(`${tv.id}.media`, {
+            type: 'channel',
+            common: { name: 'Media Playback (DLNA)' },
+            native: {},
+        });
+
+        const mediaStates = {
+            url: { name: 'Play media URL', type: 'string', role: 'media.url', read: true, write: true, def: '' },
+            play: { name: 'Play', type: 'boolean', role: 'button.play', read: false, write: true },
+            pause: { name: 'Pause', type: 'boolean', role: 'button.pause', read: false, write: true },
+            stop: { name: 'Stop', type: 'boolean', role: 'button.stop', read: false, write: true },
+            state: { name: 'Transport state', type: 'string', role: 'media.state', read: true, write: false, def: '' },
+            position: { name: 'Position (seconds, write to seek)', type: 'number', role: 'media.elapsed', unit: 's', read: true, write: true, def: 0 },
+            duration: { name: 'Duration', type: 'number', role: 'media.duration', unit: 's', read: true, write: false, def: 0 },
+            announce: { name: 'Announcement (file path, URL or JSON)', type: 'string', role: 'text', read: true, write: true, def: '' },
+        };
+        for (const [key, common] of Object.entries(mediaStates)) {
+            await this.setObjectNotExistsAsync(`${tv.id}.media.${key}`, { type: 'state', common, native: {} });
+        }
+    }
+
+    /**
+     * Channel table from the adapter config as [{ number, name, logo, favorite }], sorted by number
+     */
+    getChannelList() {
+        const rows = Array.isArray(this.config.channels) ? this.config.channels : [];
+        return rows
+            .map(row => ({
+                number: parseInt(row && row.number, 10),
+                name: String((row && row.name) || '').trim(),
+                logo: String((row && row.logo) || '').trim(),
+                favorite: !!(row && row.favorite),
+            }))
+            .filter(ch => ch.number > 0 && ch.name)
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Type the channel number on the TV and remember it as current channel
+     */
+    async selectChannel(tv, number) {
+        this.log.info(`Switching ${tv.name} to channel ${number}`);
+        await tv.client.sendChannelNumber(number);
+        tv.tunerChannel = number;
+        await this.setCurrentInput(tv, 'TV');
+    }
+
+    /**
+     * Channel table entry by name (case-insensitive) or number
+     */
+    findChannel(value) {
+        const text = String(value).trim().toLowerCase();
+        return this.getChannelList().find(c => c.name.toLowerCase() === text || String(c.number) === text) || null;
+    }
+
+    /**
+     * Store the tracked channel in channel/currentChannel*, 0 = unknown or not on the tuner
+     */
+    async setCurrentChannel(tv, number) {
+        const ch = number ? this.getChannelList().find(c => c.number === number) : null;
+        tv.currentChannel = number;
+        if (number) tv.tunerChannel = number;
+        await this.setStateAsync(`${tv.id}.channel`, number || null, true);
+        await this.setStateAsync(`${tv.id}.currentChannel`, number, true);
+        await this.setStateAsync(`${tv.id}.currentChannelName`, ch ? ch.name : '', true);
+        await this.setStateAsync(`${tv.id}.currentChannelLogo`, ch ? ch.logo : '', true);
+        await this.setStateAsync(`${tv.id}.channelName`, ch ? ch.name : '', true);
+    }
+
+    /**
+     * Store the tracked input (null = unknown). On the tuner the last tuner channel is shown again.
+     */
+    async setCurrentInput(tv, input) {
+        if (tv.input !== input) {
+            this.log.debug(`${tv.name}: input is now ${input || 'unknown'}`);
+        }
+        tv.input = input;
+        await this.setStateAsync(`${tv.id}.input`, input, true);
+        await this.setCurrentChannel(tv, input === 'TV' ? tv.tunerChannel : 0);
+    }
+
+    /**
+     * Send the key of an input from INPUT_KEYS (HDMI1-4, TV), the input is tracked by trackKey
+     */
+    async switchInput(tv, input) {
+        const name = String(input).toUpperCase();
+        const inputKey = INPUT_KEYS[name];
+        if (!inputKey) {
+            throw new Error(`Unknown input: ${input}`);
+        }
+        this.log.info(`Switching input to ${name}`);
+        await tv.client.sendKey(inputKey);
+    }
+
+    /**
+     * Follow input and channel changes caused by keys sent from any path
+     * (buttons, sequences, input/channel states, power-on switch to the tuner)
+     */
+    async trackKey(tv, code) {
+        if (code.endsWith('-OFF')) return;
+        const key = code.replace(/-(ONOFF|ON)$/, '');
+
+        // Polls are ignored for a moment, the TV may still answer while shutting down
+        if (key === 'NRC_POWER' && tv.powerState !== 'waking' && tv.powerState !== 'booting') {
+            tv.graceUntil = Date.now() + (this.config.powerOffGrace || 10) * 1000;
+            await this.setPowerState(tv, 'shuttingDown');
+            return;
+        }
+
+        if (INPUT_BY_KEY[key]) {
+            await this.setCurrentInput(tv, INPUT_BY_KEY[key]);
+        } else if (key === 'NRC_CHG_INPUT') {
+            // Cycles through the inputs, the result is unknown
+            await this.setCurrentInput(tv, null);
+        } else if (key === 'NRC_CH_UP' || key === 'NRC_CH_DOWN') {
+            // Channel keys only work on the tuner; the step is a guess, the TV skips unused numbers
+            const current = tv.input === 'TV' ? tv.currentChannel : 0;
+            tv.tunerChannel = current ? Math.max(1, current + (key === 'NRC_CH_UP' ? 1 : -1)) : 0;
+            await this.setCurrentInput(tv, 'TV');
+        } else if (key === 'NRC_R_TUNE') {
+            tv.tunerChannel = 0;
+            await this.setCurrentInput(tv, tv.input === 'TV' ? 'TV' : null);
+        }
+    }
+
+    /**
+     * TV went off: input and channel are unknown until something is selected again
+     */
+    async resetTracking(tv) {
+        tv.inputBeforeMedia = null;
+        await this.setCurrentInput(tv, null);
+    }
+
+    /**
+     * Step through the favorites (all channels if none is marked), wraps around
+     */
+    async stepFavorite(tv, direction) {
+        const channels = this.getChannelList();
+        const favorites = channels.some(c => c.favorite) ? channels.filter(c => c.favorite) : channels;
+        if (favorites.length === 0) {
+            this.log.warn('No channels configured, add them to the channel table in the adapter settings');
+            return;
+        }
+        const index = favorites.findIndex(c => c.number === tv.currentChannel);
+        let next;
+        if (index === -1) {
+            next = direction > 0 ? favorites[0] : favorites[favorites.length - 1];
+        } else {
+            next = favorites[(index + direction + favorites.length) % favorites.length];
+        }
+        await this.selectChannel(tv, next.number);
+    }
+
+    /**
+     * Ramp the volume to target over duration seconds through setVolume.
+     * A running fade on the same TV is cancelled; resolves false if this fade was cancelled.
+     */
+    async fadeVolume(tv, target, duration) {
+        this.cancelFade(tv);
+        // timer and wake let cancelFade end the wait between two steps at once
+        const fade = { cancelled: false, timer: null, wake: null };
+        tv.volumeFade = fade;
+
+        target = Math.max(0, Math.min(100, Math.round(target)));
+        const start = await tv.client.getVolume();
+        if (start === null) throw new Error('Could not read current volume');
+        const distance = target - start;
+        const totalMs = Math.max(0, duration || 0) * 1000;
+        // One step per volume level, but not faster than the TV can take it
+        const interval = Math.max(250, distance ? totalMs / Math.abs(distance) : totalMs);
+        const begin = Date.now();
+        this.log.debug(`${tv.name}: fading volume ${start} -> ${target} in ${duration}s`);
+
+        let level = start;
+        while (level !== target) {
+            if (totalMs > 0) {
+                await new Promise((resolve) => {
+                    fade.wake = resolve;
+                    fade.timer = this.setTimeout(resolve, interval);
+                });
+                fade.timer = null;
+            }
+            if (fade.cancelled) return false;
+            const progress = totalMs > 0 ? Math.min(1, (Date.now() - begin) / totalMs) : 1;
+            const next = Math.round(start + distance * progress);
+            if (next !== level) {
+                level = next;
+                await tv.client.setVolume(level);
+                await this.setStateAsync(`${tv.id}.volume`, level, true);
+            }
+        }
+        if (tv.volumeFade === fade) tv.volumeFade = null;
+        return true;
+    }
+
+    cancelFade(tv) {
+        const fade = tv.volumeFade;
+        if (!fade) return;
+        fade.cancelled = true;
+        tv.volumeFade = null;
+        if (fade.timer) this.clearTimeout(fade.timer);
+        if (fade.wake) fade.wake();
+    }
+
+    /**
+     * Set the volume directly, a running fade is stopped
+     */
+    async setVolume(tv, level) {
+        this.cancelFade(tv);
+        this.log.debug(`Setting volume to ${level}`);
+        await tv.client.setVolume(level);
+        await this.setStateAsync(`${tv.id}.volume`, level, true);
+    }
+
+    /**
+     * Parse a fade request: JSON {"target":10,"duration":30} or "target,duration"
+     */
+    parseFade(value) {
+        const text = String(value || '').trim();
+        let options;
+        if (text.startsWith('{')) {
+            options = JSON.parse(text);
+        } else {
+            const [target, duration] = text.split(/[\s,;]+/);
+            options = { target, duration };
+        }
+        const target = parseInt(options.target, 10);
+        if (isNaN(target)) throw new Error(`Invalid fade target: ${text}`);
+        const duration = parseFloat(options.duration);
+        return { target, duration: isNaN(duration) ? 5 : duration };
+    }
+
+    /**
+     * Lower the volume to the duck level and remember the level to restore
+     */
+    async duck(tv) {
+        if (tv.duckedVolume === null) {
+            const volume = await tv.client.getVolume();
+            // Without the volume to return to, unduck could not restore it
+            if (volume === null) throw new Error('Cannot duck: the TV did not report its volume');
+            tv.duckedVolume = volume;
+        }
+        await this.setStateAsync(`${tv.id}.ducked`, true, true);
+        // Ducking never makes it louder
+        await this.fadeVolume(tv, Math.min(tv.duckedVolume, this.config.duckVolume || 0), this.config.duckFadeTime || 0);
+    }
+
+    async unduck(tv) {
+        if (tv.duckedVolume === null) return;
+        const restore = tv.duckedVolume;
+        tv.duckedVolume = null;
+        await this.setStateAsync(`${tv.id}.ducked`, false, true);
+        await this.fadeVolume(tv, restore, this.config.duckFadeTime || 0);
+    }
+
+    /**
+     * Start the sleep timer: counts down, fades the volume out in the last minute
+     * and switches the TV off. reason is used for logging only.
+     */
+    async startSleepTimer(tv, minutes, reason) {
+        // Cleared before the new end is written, otherwise the clear may win
+        await this.cancelSleepTimer(tv, null);
+        const end = Date.now() + minutes * 60000;
+        await this.setStateAsync(`${tv.id}.sleepTimerEnd`, end, true);
+        await this.setStateAsync(`${tv.id}.sleepTimer`, minutes, true);
+        this.log.info(`${tv.name}: switching off in ${minutes} min (${reason})`);
+        this._runSleepTimer(tv, end, reason);
+    }
+
+    /**
+     * Continue a sleep timer that was running before the adapter restarted
+     */
+    async restoreSleepTimer(tv) {
+        const state = await this.getStateAsync(`${tv.id}.sleepTimerEnd`);
+        const end = state && state.val;
+        if (end && end > Date.now()) {
+            this.log.info(`${tv.name}: continuing sleep timer, ${Math.ceil((end - Date.now()) / 60000)} min left`);
+            this._runSleepTimer(tv, end, 'sleep timer');
+        } else if (end) {
+            await this._clearSleepStates(tv);
+            const missed = Math.round((Date.now() - end) / 60000);
+            if (!tv.available) return;
+            if (Date.now() - end <= SLEEP_MISSED_LIMIT) {
+                this.log.info(`${tv.name}: sleep timer ran out ${missed} min ago while the adapter was stopped`);
+                await this._sleepPowerOff(tv, { reason: 'sleep timer', volumeBefore: null });
+            } else {
+                // The TV was most likely switched on again since
+                this.log.info(`${tv.name}: sleep timer ran out ${missed} min ago while the adapter was stopped, not switching off`);
+            }
+        }
+    }
+
+    _runSleepTimer(tv, end, reason) {
+        // volumeBefore stays null if the TV did not report its volume, fadeStarted makes sure it is asked only once
+        const sleep = { end, reason, timer: null, volumeBefore: null, fadeStarted: false };
+        tv.sleep = sleep;
+        const tick = async () => {
+            if (tv.sleep !== sleep) return;
+            const remaining = Math.max(0, Math.round((sleep.end - Date.now()) / 1000));
+            await this.setStateAsync(`${tv.id}.sleepTimerRemaining`, remaining, true);
+
+            if (remaining <= 0) {
+                await this.cancelSleepTimer(tv, null);
+                await this._sleepPowerOff(tv, sleep);
+                return;
+            }
+            // Fade out during the last minute, restored after switching off
+            if (remaining <= SLEEP_FADE_SECONDS && !sleep.fadeStarted && tv.available) {
+                sleep.fadeStarted = true;
+                sleep.volumeBefore = await tv.client.getVolume();
+                if (sleep.volumeBefore === null) {
+                    this.log.debug(`${tv.name}: volume unknown, switching off without fade`);
+                    return;
+                }
+                this.fadeVolume(tv, 0, remaining).catch(err => this.log.debug(`Sleep fade failed: ${err.message}`));
+            }
+        };
+        sleep.timer = this.setInterval(() => tick().catch(err => this.log.debug(`Sleep timer: ${err.message}`)), SLEEP_TICK);
+        tick().catch(err => this.log.debug(`Sleep timer: ${err.message}`));
+    }
+
+    async _sleepPowerOff(tv, sleep) {
+        if (!tv.available) return;
+        this.log.info(`${tv.name}: switching off (${sleep.reason})`);
+        try {
+            await this.powerOff(tv);
+            // The TV still answers for a moment, so the next session starts with the old volume
+            if (sleep.volumeBefore !== null) {
+                this.cancelFade(tv);
+                await tv.client.setVolume(sleep.volumeBefore);
+                await this.setStateAsync(`${tv.id}.volume`, sleep.volumeBefore, true);
+            }
+        } catch (err) {
+            this.log.warn(`${tv.name}: switching off failed: ${err.message}`);
+            await this.recordError(tv, err);
+        }
+    }
+
+    /**
+     * A command from a state write or sendTo: poll faster for a while and cancel
+     * a running sleep timer or quiet-hours switch-off
+     */
+    onUserCommand(tv) {
+        this.boostPolling(tv);
+        if (tv.sleep) {
+            if (tv.sleep.reason === 'quiet hours') tv.quietOverride = tv.quietWindow;
+            this.cancelSleepTimer(tv, 'user interaction');
+        }
+    }
+
+    /**
+     * Stop a running sleep timer. With a reason the cancellation is logged and a
+     * volume fade of the last minute is undone. Resolves once the sleep states are cleared.
+     */
+    cancelSleepTimer(tv, reason) {
+        const sleep = tv.sleep;
+        if (!sleep) return Promise.resolve();
+        tv.sleep = null;
+        this.clearInterval(sleep.timer);
+        const cleared = this._clearSleepStates(tv).catch(err => this.log.debug(`Could not clear sleep timer: ${err.message}`));
+        if (!reason) return cleared;
+
+        this.log.info(`${tv.name}: ${sleep.reason} cancelled (${reason})`);
+        if (sleep.volumeBefore !== null) {
+            this.cancelFade(tv);
+            tv.client.setVolume(sleep.volumeBefore)
+                .then(() => this.setStateAsync(`${tv.id}.volume`, sleep.volumeBefore, true))
+                .catch(err => this.log.debug(`Could not restore volume: ${err.message}`));
+        }
+        return cleared;
+    }
+
+    async _clearSleepStates(tv) {
+        await this.setStateAsync(`${tv.id}.sleepTimer`, 0, true);
+        await this.setStateAsync(`${tv.id}.sleepTimerRemaining`, 0, true);
+        await this.setStateAsync(`${tv.id}.sleepTimerEnd`, 0, true);
+    }
+
+    /**
+     * Quiet-hour windows from the adapter config as [{ start, end, tv }] in minutes of the day
+     */
+    getQuietHours() {
+        const toMinutes = (text) => {
+            const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        };
+        const rows = Array.isArray(this.config.quietHours) ? this.config.quietHours : [];
+        return rows
+            .map(row => ({ start: toMinutes(row && row.start), end: toMinutes(row && row.end), tv: String((row && row.tv) || '').trim() }))
+            .filter(w => w.start !== null && w.end !== null && w.start !== w.end);
+    }
+
+    /**
+     * Inside a quiet-hour window a TV that is on gets a one minute sleep timer.
+     * Cancelling it (any user command) keeps the TV on until the window ends.
+     */
+    async checkQuietHours() {
+        const now = new Date();
+        const minute = now.getHours() * 60 + now.getMinutes();
+        const windows = this.getQuietHours();
+        for (const tv of this.tvs.values()) {
+            let active = null;
+            windows.forEach((w, index) => {
+                if (w.tv && ![tv.id, tv.name, tv.ip].includes(w.tv)) return;
+                const inside = w.start < w.end ? minute >= w.start && minute < w.end : minute >= w.start || minute < w.end;
+                if (!inside) return;
+                // Windows over midnight started yesterday if we are past midnight
+                const startDay = new Date(now);
+                if (w.start > w.end && minute < w.end) startDay.setDate(startDay.getDate() - 1);
+                active = `${index}:${startDay.toDateString()}`;
+            });
+
+            if (!active) {
+                tv.quietOverride = null;
+                continue;
+            }
+            if (tv.available && !tv.sleep && tv.quietOverride !== active) {
+                tv.quietWindow = active;
+                await this.startSleepTimer(tv, 1, 'quiet hours');
+            }
+        }
+    }
+
+    /**
+     * Macros from the adapter config that apply to a TV, as [{ id, name, sequence }]
+     */
+    getMacros(tv) {
+        const rows = Array.isArray(this.config.macros) ? this.config.macros : [];
+        return rows
+            .filter(row => row && row.name && row.sequence)
+            .filter(row => !row.tv || [tv.id, tv.name, tv.ip].includes(String(row.tv).trim()))
+            .map(row => ({
+                id: String(row.name).trim().replace(this.FORBIDDEN_CHARS, '_').replace(/[\s.]/g, '_'),
+                name: String(row.name).trim(),
+                sequence: row.sequence,
+            }));
+    }
+
+    /**
+     * Create a macros.<name> button per configured macro and remove buttons of deleted macros
+     */
+    async createMacroStates(tv) {
+        await this.setObjectNotExistsAsync(`${tv.id}.macros`, {
+            type: 'channel',
+            common: { name: 'Macros' },
+            native: {},
+        });
+
+        const macros = this.getMacros(tv);
+        for (const macro of macros) {
+            try {
+                SequenceRunner.parse(macro.sequence, KEYS);
+            } catch (err) {
+                this.log.warn(`Macro "${macro.name}": ${err.message}`);
+            }
+            await this.setObjectAsync(`${tv.id}.macros.${macro.id}`, {
+                type: 'state',
+                common: { name: macro.name, type: 'boolean', role: 'button', read: false, write: true },
+                native: { sequence: macro.sequence },
+            });
+        }
+
+        const existing = await this.getStatesOfAsync(tv.id, 'macros');
+        for (const obj of existing) {
+            const macroId = obj._id.split('.').pop();
+            if (!macros.some(m => m.id === macroId)) {
+                await this.delObjectAsync(obj._id);
+            }
+        }
+    }
+
+    /**
+     * Run a key sequence on the TV's sequence runner and report progress in remote.sequence*.
+     * Errors are logged and stored there, the error (or null) is returned for callers that report back.
+     */
+    async runSequence(tv, text, label) {
+        let steps;
+        try {
+            steps = SequenceRunner.parse(text, KEYS);
+        } catch (err) {
+            this.log.warn(`${label}: ${err.message}`);
+            await this.setStateAsync(`${tv.id}.remote.sequenceError`, err.message, true);
+            return err;
+        }
+        if (steps.length === 0) return null;
+
+        const runner = tv.client.sequences;
+        await this.setStateAsync(`${tv.id}.remote.sequenceRunning`, true, true);
+        await this.setStateAsync(`${tv.id}.remote.sequenceError`, '', true);
+        this.log.debug(`${label}: ${steps.length} steps queued`);
+        try {
+            await runner.run(steps, (done, total) => {
+                this.setStateAsync(`${tv.id}.remote.sequenceProgress`, Math.round(done / total * 100), true)
+                    .catch(err => this.log.debug(`Could not set sequence progress: ${err.message}`));
+            });
+        } catch (err) {
+            if (err.cancelled) {
+                this.log.info(`${label} cancelled`);
+                await this.setStateAsync(`${tv.id}.remote.sequenceError`, err.message, true);
+            } else {
+                this.log.warn(`${label} failed: ${err.message}`);
+                await this.setStateAsync(`${tv.id}.remote.sequenceError`, err.message, true);
+                await this.recordError(tv, err);
+            }
+            return err;
+        } finally {
+            await this.setStateAsync(`${tv.id}.remote.sequenceRunning`, runner.running, true);
+        }
+        return null;
+    }
+
+    /**
+     * Remember the TV's MAC address from the ARP table while it is reachable (used for Wake-on-LAN)
+     */
+    async learnMacAddress(tv) {
+        const mac = VieraClient.lookupMac(tv.client.ip);
+        if (!mac) return;
+        const current = await this.getStateAsync(`${tv.id}.info.mac`);
+        if (!current || current.val !== mac) {
+            await this.setStateAsync(`${tv.id}.info.mac`, mac, true);
+            this.log.info(`Learned TV MAC address ${mac}`);
+        }
+    }
+
+    /**
+     * Send the Wake-on-LAN packets to the configured, given or learned MAC address
+     */
+    async sendWakeOnLan(tv, mac) {
+        mac = String(mac || '').trim() || tv.mac;
+        if (!mac) {
+            const learned = await this.getStateAsync(`${tv.id}.info.mac`);
+            mac = learned && learned.val;
+        }
+        if (!mac) {
+            throw new Error('No MAC address configured or learned yet. Turn the TV on once while the adapter is running.');
+        }
+        this.log.info(`Sending Wake-on-LAN to ${mac}`);
+        await VieraClient.sendWakeOnLan(mac, this.config.wolBroadcast, this.config.wolRepeat || 3, this.log);
+    }
+
+    /**
+     * Poll transport state, position and duration of DLNA playback
+     */
+    async updateMediaStatus(tv) {
+        if (!tv.client.supports('GetTransportInfo')) return;
+        try {
+            const { state } = await tv.client.getTransportInfo();
+            await this.setStateAsync(`${tv.id}.media.state`, state, true);
+
+            // The DMR reports DLNA playback, the TV returns to the previous input when it stops
+            const playing = state === 'PLAYING' || state === 'PAUSED_PLAYBACK' || state === 'TRANSITIONING';
+            if (playing && tv.input !== 'DLNA') {
+                tv.inputBeforeMedia = tv.input;
+                await this.setCurrentInput(tv, 'DLNA');
+            } else if (!playing && tv.input === 'DLNA') {
+                await this.setCurrentInput(tv, tv.inputBeforeMedia);
+                tv.inputBeforeMedia = null;
+            }
+
+            if (state === 'PLAYING' || state === 'PAUSED_PLAYBACK') {
+                const { position, duration } = await tv.client.getPositionInfo();
+                if (position !== null) await this.setStateAsync(`${tv.id}.media.position`, position, true);
+                if (duration !== null) await this.setStateAsync(`${tv.id}.media.duration`, duration, true);
+            }
+        } catch (err) {
+            this.log.debug(`Could not get media status: ${err.message}`);
+        }
+    }
+
+    /**
+     * Read the device descriptions and store model data in info.*
+     */
+    async updateDeviceInfo(tv) {
+        try {
+            const info = await tv.client.getDeviceInfo();
+            for (const [key, def] of Object.entries(DEVICE_INFO_STATES)) {
+                await this.setStateAsync(`${tv.id}.info.${key}`, info[def.field] || '', true);
+            }
+            await this.setStateAsync(`${tv.id}.info.services`, JSON.stringify(info.services.map(s => s.type)), true);
+            await this.setStateAsync(`${tv.id}.info.actions`, JSON.stringify(info.actions), true);
+            this.log.info(`TV: ${info.friendlyName || 'unknown'} (${info.modelNumber || info.modelName || 'unknown model'}), ${info.actions.length} actions`);
+        } catch (err) {
+            this.log.debug(`Could not read device description: ${err.message}`);
+        }
+    }
+
+    /**
+     * Fetch the installed apps from the TV and offer them as states of apps.launch
+     */
+    async updateAppList(tv) {
+        if (!tv.client.supports('X_GetAppList')) {
+            this.log.debug('TV does not support X_GetAppList, skipping app list');
+            return;
+        }
+        try {
+            const apps = await tv.client.getApps();
+            if (apps.length === 0) return;
+            tv.appList = apps;
+            const states = {};
+            for (const app of apps) {
+                states[app.id] = app.name;
+            }
+            await this.extendObjectAsync(`${tv.id}.apps.launch`, { common: { states } });
+            this.log.debug(`App list updated: ${apps.map(a => a.name).join(', ')}`);
+        } catch (err) {
+            this.log.debug(`Could not get app list: ${err.message}`);
+        }
+    }
+
+    async startEventServer() {
+        try {
+            this.eventServer = new EventServer(this.log);
+            const port = await this.eventServer.start(this.config.eventPort || 0);
+            for (const tv of this.tvs.values()) {
+                this.eventServer.on(`/${tv.id}${RENDERING_EVENT_PATH}`, (body) => {
+                    this.onRenderingEvent(tv, body).catch(err => this.log.debug(`Could not handle event: ${err.message}`));
+                });
+            }
+            this.log.info(`Listening for TV events on port ${port}`);
+        } catch (err) {
+            this.log.warn(`Could not start event server, using polling only: ${err.message}`);
+            this.eventServer = null;
+        }
+    }
+
+    /**
+     * Start the pyatv helper for Apple TV power-on and the appletv.* states,
+     * the connection is set up in the background
+     */
+    async startAppleTv() {
+        const appleTvConfig = await this._getAppleTvConfig();
+        if (!appleTvConfig) {
+            if (this.config.appleTvControl) this.log.warn('Apple TV control is enabled, but no paired Apple TV is configured');
+            await this.setStateAsync('info.appleTvHelper', 'stopped', true);
+            return;
+        }
+        if (this.config.appleTvControl) {
+            await this.createAppleTvStates();
+            await this.setStateAsync('appletv.connected', false, true);
+        }
+        this.appleTv = new AppleTv(this.log, {
+            config: {
+                identifier: appleTvConfig.identifier,
+                address: appleTvConfig.address,
+                ...appleTvConfig.credentials,
+            },
+            onEvent: (event) => this.onAppleTvEvent(event).catch(err => this.log.debug(`Could not handle Apple TV event: ${err.message}`)),
+        });
+        this.appleTv.start();
+    }
+
+    async createAppleTvStates() {
+        await this.setObjectNotExistsAsync('appletv', {
+            type: 'channel',
+            common: { name: this.config.appleTvName || 'Apple TV' },
+            native: {},
+        });
+        const states = {
+            connected: { name: 'Connected to Apple TV', type: 'boolean', role: 'indicator.connected', read: true, write: false, def: false },
+            power: { name: 'Power', type: 'boolean', role: 'switch.power', read: true, write: true, def: false },
+            title: { name: 'Title', type: 'string', role: 'media.title', read: true, write: false, def: '' },
+            artist: { name: 'Artist', type: 'string', role: 'media.artist', read: true, write: false, def: '' },
+            album: { name: 'Album', type: 'string', role: 'media.album', read: true, write: false, def: '' },
+            app: { name: 'App', type: 'string', role: 'text', read: true, write: false, def: '' },
+            appId: { name: 'App bundle id', type: 'string', role: 'text', read: true, write: false, def: '' },
+            playState: { name: 'Play state', type: 'string', role: 'media.state', read: true, write: false, def: '', states: APPLE_TV_PLAY_STATES },
+            mediaType: { name: 'Media type', type: 'string', role: 'text', read: true, write: false, def: '' },
+            position: { name: 'Position', type: 'number', role: 'media.elapsed', unit: 's', read: true, write: false, def: 0 },
+            duration: { name: 'Duration', type: 'number', role: 'media.duration', unit: 's', read: true, write: false, def: 0 },
+            artworkUrl: { name: 'Artwork URL (media server)', type: 'string', role: 'media.cover', read: true, write: false, def: '' },
+            apps: { name: 'Installed apps', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+            launchApp: { name: 'Launch app (bundle id or name)', type: 'string', role: 'text', read: true, write: true, def: '' },
+        };
+        for (const [key, common] of Object.entries(states)) {
+            await this.setObjectNotExistsAsync(`appletv.${key}`, { type: 'state', common, native: {} });
+        }
+
+        await this.setObjectNotExistsAsync('appletv.remote', {
+            type: 'channel',
+            common: { name: 'Apple TV remote' },
+            native: {},
+        });
+        for (const [key, def] of Object.entries(APPLE_TV_KEYS)) {
+            await this.setObjectNotExistsAsync(`appletv.remote.${key}`, {
+                type: 'state',
+                common: { name: def.name, type: 'boolean', role: 'button', read: false, write: true, def: false },
+                native: { key: def.key },
+            });
+        }
+    }
+
+    async onAppleTvEvent(event) {
+        if (event.event === 'status') {
+            await this.setStateAsync('info.appleTvHelper', event.status, true);
+            return;
+        }
+        if (event.event === 'power') {
+            await this.onAppleTvPower(event.state);
+        }
+        if (event.event === 'connection' && !event.connected) {
+            // Missed changes must not look like a fresh transition after reconnecting
+            this.appleTvPower = null;
+        }
+        // Without Apple TV control the helper only serves power-on
+        if (!this.config.appleTvControl) return;
+
+        switch (event.event) {
+            case 'connection':
+                await this.setStateAsync('appletv.connected', event.connected, true);
+                if (event.connected) {
+                    await this.updateAppleTvApps();
+                }
+                break;
+            case 'power':
+                if (event.state === 'on' || event.state === 'off') {
+                    await this.setStateAsync('appletv.power', event.state === 'on', true);
+                }
+                break;
+            case 'playing': {
+                const data = event.data || {};
+                await this.setStateAsync('appletv.title', data.title, true);
+                await this.setStateAsync('appletv.artist', data.artist, true);
+                await this.setStateAsync('appletv.album', data.album, true);
+                await this.setStateAsync('appletv.app', data.app, true);
+                await this.setStateAsync('appletv.appId', data.appId, true);
+                await this.setStateAsync('appletv.playState', data.deviceState, true);
+                await this.setStateAsync('appletv.mediaType', data.mediaType, true);
+                await this.setStateAsync('appletv.position', data.position, true);
+                await this.setStateAsync('appletv.duration', data.totalTime, true);
+                break;
+            }
+            case 'artwork':
+                await this.setStateAsync('appletv.artworkUrl', await this.publishArtwork(event), true);
+                break;
+            case 'error':
+            case 'disconnected':
+                if (event.error) this.log.debug(`Apple TV: ${event.error}`);
+                break;
+        }
+    }
+
+    /**
+     * Serve the artwork of an artwork event through the media server, returns its
+     * URL ('' without artwork or media server). The previous artwork is dropped.
+     */
+    async publishArtwork(event) {
+        if (this.appleTvArtwork && this.mediaServer) {
+            this.mediaServer.unregisterFile(this.appleTvArtwork);
+        }
+        this.appleTvArtwork = null;
+        if (!event.data) return '';
+        if (!this.mediaServer) {
+            this.log.debug('Apple TV artwork needs the media server, enable it in the adapter settings');
+            return '';
+        }
+        const extension = (event.mimetype || '').split('/')[1] === 'png' ? 'png' : 'jpg';
+        this.appleTvArtwork = this.mediaServer.registerBuffer(Buffer.from(event.data, 'base64'), event.mimetype || 'image/jpeg', `artwork.${extension}`);
+        // Seen from the browsers, which share the network with the Apple TV
+        const host = this.config.mediaServerHost || await EventServer.localAddressFor(this.config.appleTvAddress || this.getTv().ip);
+        return `http://${host}:${this.mediaServer.port}${this.appleTvArtwork}`;
+    }
+
+    /**
+     * TVs that are powered on through the Apple TV share its HDMI-CEC chain
+     */
+    usesAppleTv(tv) {
+        return this.getPowerOnRows(tv).some(row => row.type === 'appleTv');
+    }
+
+    /**
+     * Apple TV went to sleep: with tvOffWithAppleTv, linked TVs that show an
+     * HDMI input (appleTvHdmiInput, if set) are switched off too
+     */
+    async onAppleTvPower(state) {
+        const previous = this.appleTvPower;
+        this.appleTvPower = state;
+        if (!this.config.tvOffWithAppleTv || previous !== 'on' || state !== 'off') return;
+
+        const hdmiInput = this.config.appleTvHdmiInput || '';
+        for (const tv of this.tvs.values()) {
+            if (!this.usesAppleTv(tv) || tv.powerState !== 'on' || tv.linkedPowerOff) continue;
+            const onAppleTvInput = hdmiInput ? tv.input === hdmiInput : /^HDMI\d$/.test(tv.input || '');
+            if (!onAppleTvInput) continue;
+            this.log.info(`Apple TV went to sleep while ${tv.name} shows ${tv.input}, switching the TV off`);
+            try {
+                await this.powerOff(tv, false);
+            } catch (err) {
+                this.log.warn(`${tv.name}: switching off failed: ${err.message}`);
+                await this.recordError(tv, err);
+            }
+        }
+    }
+
+    /**
+     * Put the Apple TV to sleep, over the helper connection or with atvremote.
+     * Failures are only logged, the TV is switched off anyway.
+     */
+    async turnOffAppleTv() {
+        try {
+            if (this.appleTv && this.appleTv.connected) {
+                await this.appleTv.turnOff();
+            } else {
+                const appleTvConfig = await this._getAppleTvConfig();
+                if (!appleTvConfig) return;
+                await VieraClient.turnOffAppleTv(appleTvConfig, this.log);
+            }
+            this.log.info('Apple TV switched off');
+        } catch (err) {
+            this.log.warn(`Could not switch off Apple TV: ${err.message}`);
+        }
+    }
+
+    /**
+     * Read the installed apps into appletv.apps and the value list of appletv.launchApp
+     */
+    async updateAppleTvApps() {
+        try {
+            const apps = await this.appleTv.getAppList();
+            this.appleTvApps = apps.sort((a, b) => a.name.localeCompare(b.name));
+            await this.setStateAsync('appletv.apps', JSON.stringify(this.appleTvApps), true);
+            const states = {};
+            for (const app of this.appleTvApps) {
+                states[app.id] = app.name;
+            }
+            await this.extendObjectAsync('appletv.launchApp', { common: { states } });
+        } catch (err) {
+            this.log.debug(`Could not read Apple TV app list: ${err.message}`);
+        }
+    }
+
+    async onAppleTvStateChange(id, parts, state) {
+        const stateName = parts[parts.length - 1];
+        if (!this.appleTv || !this.config.appleTvControl) {
+            this.log.warn('Apple TV control is not enabled in the adapter settings');
+            return;
+        }
+        try {
+            if (parts[1] === 'remote' && APPLE_TV_KEYS[stateName]) {
+                await this.appleTv.sendKey(APPLE_TV_KEYS[stateName].key);
+                await this.setStateAsync(id, false, true);
+                return;
+            }
+            if (stateName === 'power') {
+                // Confirmed by the power push update
+                if (state.val) {
+                    await this.appleTv.turnOn();
+                } else {
+                    await this.appleTv.turnOff();
+                }
+                return;
+            }
+            if (stateName === 'launchApp') {
+                const value = String(state.val || '').trim();
+                if (!value) return;
+                const app = this.appleTvApps.find(a => a.id === value || a.name.toLowerCase() === value.toLowerCase());
+                const bundleId = app ? app.id : value;
+                this.log.info(`Launching ${app ? app.name : bundleId} on Apple TV`);
+                await this.appleTv.launchApp(bundleId);
+                await this.setStateAsync(id, bundleId, true);
+            }
+        } catch (err) {
+            this.log.warn(err.message);
+        }
+    }
+
+    async startMediaServer() {
+        try {
+            this.mediaServer = new MediaServer(this.log, {
+                directory: this.config.mediaDirectory,
+                fileStore: this.config.mediaFileStore,
+                readFileStore: (adapterName, filePath) => this.readFileAsync(adapterName, filePath),
+            });
+            const port = await this.mediaServer.start(this.config.mediaServerPort || 8095, this.config.mediaServerBind);
+            this.log.info(`Media server listening on port ${port}`);
+        } catch (err) {
+            this.log.warn(`Could not start media server: ${err.message}`);
+            this.mediaServer = null;
+        }
+    }
+
+    /**
+     * Base URL of the media server as seen from the TV
+     */
+    async getMediaBaseUrl(tv) {
+        const host = this.config.mediaServerHost || await EventServer.localAddressFor(tv.client.ip);
+        return `http://${host}:${this.mediaServer.port}`;
+    }
+
+    /**
+     * Queue an announcement, they are played one after another.
+     * Options: url, file (local path) or data (base64), volume, timeout (seconds)
+     */
+    announce(tv, options) {
+        const run = () => this._playAnnouncement(tv, options);
+        const result = tv.announceQueue.then(run, run);
+        tv.announceQueue = result.catch(() => {});
+        return result;
+    }
+
+    async _playAnnouncement(tv, options) {
+        if (!tv.client.supports('SetAVTransportURI')) {
+            throw new Error('This TV does not support DLNA playback (AVTransport)');
+        }
+
+        let url = options.url;
+        let registered = null;
+        if (!url) {
+            if (!this.mediaServer) {
+                throw new Error('Media server is disabled, enable it in the adapter settings');
+            }
+            let filePath;
+            let temporary = false;
+            if (options.data) {
+                const extension = String(options.extension || '').replace(/[^a-z0-9]/gi, '') || 'mp3';
+                filePath = path.join(os.tmpdir(), `iobroker-viera-${Date.now()}.${extension}`);
+                await fs.promises.writeFile(filePath, Buffer.from(options.data, 'base64'));
+                temporary = true;
+            } else if (options.file) {
+                // Only files the media server would serve under /media anyway
+                if (!this.config.mediaDirectory) {
+                    throw new Error('Announcement files must be in the media directory, set it in the adapter settings');
+                }
+                filePath = this.mediaServer.resolveMediaPath(options.file);
+                if (!filePath) {
+                    throw new Error(`${options.file} is not in the media directory ${this.config.mediaDirectory}`);
+                }
+            } else {
+                throw new Error('Announcement needs url, file or data');
+            }
+            registered = this.mediaServer.registerFile(filePath, temporary);
+            url = (await this.getMediaBaseUrl(tv)) + registered;
+        }
+
+        // Empty means unchanged, 0 is a silent announcement
+        const volume = parseInt(options.volume !== undefined && options.volume !== '' ? options.volume : this.config.announceVolume, 10);
+        let previousVolume = null;
+        try {
+            if (!isNaN(volume)) {
+                previousVolume = await tv.client.getVolume();
+                await tv.client.setVolume(volume);
+            }
+            this.log.info(`Playing announcement: ${url}`);
+            await tv.client.setAVTransportURI(url, { title: 'ioBroker' });
+            await tv.client.play();
+            await this.waitForPlaybackEnd(tv, (options.timeout || 120) * 1000);
+        } finally {
+            if (previousVolume !== null) {
+                try {
+                    await tv.client.setVolume(previousVolume);
+                    await this.setStateAsync(`${tv.id}.volume`, previousVolume, true);
+                } catch (err) {
+                    this.log.warn(`Could not restore volume after announcement: ${err.message}`);
+                }
+            }
+            if (registered) {
+                this.mediaServer.unregisterFile(registered);
+            }
+        }
+    }
+
+    /**
+     * Wait until the renderer stopped after playback started, or the timeout passed
+     */
+    async waitForPlaybackEnd(tv, timeout) {
+        const start = Date.now();
+        let started = false;
+        while (Date.now() - start < timeout) {
+            // Adapter timer, the wait ends with the adapter
+            await new Promise(r => this.setTimeout(r, 1000));
+            let state;
+            try {
+                ({ state } = await tv.client.getTransportInfo());
+            } catch (_) {
+                continue;
+            }
+            if (state === 'PLAYING' || state === 'TRANSITIONING') {
+                started = true;
+            } else if (started || Date.now() - start > 10000) {
+                return;
+            }
+        }
+        this.log.debug('Announcement did not finish within timeout');
+    }
+
+    /**
+     * Subscribe to RenderingControl events, polling of volume/mute is skipped while subscribed
+     */
+    async subscribeEvents(tv) {
+        if (!this.eventServer) return;
+        this.clearSubscription(tv, false);
+
+        const service = tv.client.deviceInfo && tv.client.deviceInfo.services.find(s => s.type.includes(':RenderingControl:'));
+        const eventPath = (service && service.eventSubUrl) || '/dmr/event_0';
+        try {
+            const callbackUrl = await this.eventServer.getCallbackUrl(tv.client.ip, `/${tv.id}${RENDERING_EVENT_PATH}`, this.config.eventHost);
+            const { sid, timeout } = await tv.client.subscribe(eventPath, callbackUrl, EVENT_TIMEOUT);
+            tv.renderingSubscription = { sid, eventPath, renewTimer: null };
+            this.scheduleRenewal(tv, timeout);
+            this.log.debug(`Subscribed to RenderingControl events (${sid}, ${timeout}s), callback ${callbackUrl}`);
+        } catch (err) {
+            tv.renderingSubscription = null;
+            this.log.info(`TV rejected event subscription, falling back to polling: ${err.message}`);
+        }
+    }
+
+    scheduleRenewal(tv, timeout) {
+        const sub = tv.renderingSubscription;
+        // Renew well before the subscription expires
+        const delay = Math.max(10, Math.floor(timeout * 0.8)) * 1000;
+        sub.renewTimer = this.setTimeout(async () => {
+            if (tv.renderingSubscription !== sub) return;
+            try {
+                const result = await tv.client.renewSubscription(sub.eventPath, sub.sid, EVENT_TIMEOUT);
+                sub.sid = result.sid;
+                this.scheduleRenewal(tv, result.timeout);
+            } catch (err) {
+                // TV forgot the subscription (rebooted) - subscribe again
+                this.log.debug(`Renewing event subscription failed (${err.message}), resubscribing...`);
+                tv.renderingSubscription = null;
+                if (tv.available) {
+                    await this.subscribeEvents(tv);
+                }
+            }
+        }, delay);
+    }
+
+    clearSubscription(tv, sendUnsubscribe) {
+        const sub = tv.renderingSubscription;
+        if (!sub) return;
+        tv.renderingSubscription = null;
+        if (sub.renewTimer) {
+            this.clearTimeout(sub.renewTimer);
+        }
+        if (sendUnsubscribe) {
+            tv.client.unsubscribe(sub.eventPath, sub.sid).catch(() => {});
+        }
+    }
+
+    async onRenderingEvent(tv, body) {
+        const { volume, mute } = VieraClient.parseLastChange(body);
+        if (volume !== null) {
+            await this.setStateAsync(`${tv.id}.volume`, volume, true);
+        }
+        if (mute !== null) {
+            await this.setStateAsync(`${tv.id}.mute`, mute, true);
+        }
+    }
+
+    startPolling(tv) {
+        this.schedulePoll(tv);
+        this.log.debug(`Polling ${tv.name} started with interval ${tv.pollingInterval}ms`);
+    }
+
+    /**
+     * Effective polling interval, see pollingInterval in lib/power-state
+     */
+    getPollingInterval(tv) {
+        return pollingInterval(tv, this.config);
+    }
+
+    /**
+     * (Re)start the polling timer with the current effective interval
+     */
+    schedulePoll(tv) {
+        if (tv.pollingTimer) {
+            this.clearTimeout(tv.pollingTimer);
+        }
+        // Back off step by step, starting when the TV is off or unreachable and the fast window is over
+        tv.offPolls = countOffPolls(tv);
+        const interval = this.getPollingInterval(tv);
+        tv.nextPollAt = Date.now() + interval;
+        tv.pollingTimer = this.setTimeout(async () => {
+            tv.pollingTimer = null;
+            await this.pollStatus(tv);
+            // Not rescheduled meanwhile (unload or boostPolling during the poll)
+            if (!tv.pollingTimer && !this.unloading) this.schedulePoll(tv);
+        }, interval);
+
+        if (interval !== tv.pollingInterval) {
+            tv.pollingInterval = interval;
+            this.setStateAsync(`${tv.id}.info.pollingInterval`, interval / 1000, true)
+                .catch(err => this.log.debug(`Could not set polling interval: ${err.message}`));
+        }
+    }
+
+    /**
+     * Poll faster for fastPollingWindow seconds, e.g. after a command
+     */
+    boostPolling(tv) {
+        tv.fastPollUntil = Date.now() + (this.config.fastPollingWindow || 30) * 1000;
+        // Only reschedule if the next poll is further away than the fast interval
+        if (tv.nextPollAt - Date.now() > this.getPollingInterval(tv)) {
+            this.schedulePoll(tv);
+        }
+    }
+
+    /**
+     * info.connection is true as long as at least one TV is reachable
+     */
+    async updateConnectionState() {
+        const connected = [...this.tvs.values()].some(tv => tv.available);
+        await this.setStateAsync('info.connection', connected, true);
+    }
+
+    /**
+     * Feed one reachability result into the power state machine. The TV is only
+     * declared off after offAfterFailures failed polls in a row, during a wake
+     * flow or the grace period after a power-off key the wake/shutdown decides.
+     */
+    async updatePowerState(tv, reachable) {
+        tv.failures = reachable ? 0 : tv.failures + 1;
+        const powerState = nextPowerState(tv, reachable, this.config.offAfterFailures || 3);
+        if (powerState) await this.setPowerState(tv, powerState);
+    }
 
-        // Mute
-        await this.setObjectNotExistsAsync('mute', {
-            type: 'state',
-            common: { name: 'Mute', type: 'boolean', role: 'media.mute', read: true, write: true, def: false },
-            native: {},
-        });
+    /**
+     * Set powerState. on/booting make the TV available, off makes it unavailable,
+     * the other states keep the last availability.
+     */
+    async setPowerState(tv, powerState) {
+        if (tv.powerState === powerState) return;
+        this.log.debug(`${tv.name}: power state ${tv.powerState || 'unknown'} -> ${powerState}`);
+        const previous = tv.powerState;
+        tv.powerState = powerState;
+        await this.setStateAsync(`${tv.id}.powerState`, powerState, true);
+        // The initial state after adapter start is no change worth a closer look
+        if (previous !== null) this.boostPolling(tv);
 
-        // Channel (direct number input)
-        await this.setObjectNotExistsAsync('channel', {
-            type: 'state',
-            common: { name: 'Channel Number', type: 'number', role: 'level.channel', read: false, write: true, min: 1, max: 9999 },
-            native: {},
-        });
+        // HTTP 403 during the boot means "not yet", not "pairing needed"
+        if (powerState === 'waking' || powerState === 'booting') tv.client.expectBoot();
 
-        // Input source
-        await this.setObjectNotExistsAsync('input', {
-            type: 'state',
-            common: {
-                name: 'Input Source',
-                type: 'string',
-                role: 'media.input',
-                read: false,
-                write: true,
-                states: { HDMI1: 'HDMI 1', HDMI2: 'HDMI 2', HDMI3: 'HDMI 3', HDMI4: 'HDMI 4', TV: 'TV' },
-            },
-            native: {},
-        });
+        let available = tv.available;
+        if (powerState === 'on' || powerState === 'booting') available = true;
+        if (powerState === 'off') available = false;
+        // The TV may reboot while unreachable and forget the event subscription,
+        // volume and mute are polled until it is subscribed again
+        if (powerState === 'unreachable') this.clearSubscription(tv, false);
+        if (available === tv.available) {
+            if (powerState === 'on' && available && !tv.renderingSubscription) await this.subscribeEvents(tv);
+            return;
+        }
 
-        // Remote control channel
-        await this.setObjectNotExistsAsync('remote', {
-            type: 'channel',
-            common: { name: 'Remote Control' },
-            native: {},
-        });
+        tv.available = available;
+        await this.setStateAsync(`${tv.id}.info.reachable`, available, true);
+        await this.setStateAsync(`${tv.id}.power`, available, true);
+        await this.updateConnectionState();
+        this.log.debug(`TV ${tv.name} ${available ? 'is now reachable' : 'is no longer reachable'}`);
 
-        // Create all remote button states
-        for (const [key, nrcCode] of Object.entries(REMOTE_KEYS)) {
-            await this.setObjectAsync(`remote.${key}`, {
-                type: 'state',
-                common: { name: key, type: 'boolean', role: 'button', read: true, write: true, def: false },
-                native: { nrcCode },
-            });
-            await this.setStateAsync(`remote.${key}`, false, true);
+        if (available) {
+            await this.learnMacAddress(tv);
+            await this.updateDeviceInfo(tv);
+            await this.updateAppList(tv);
+            await this.subscribeEvents(tv);
+        } else {
+            this.clearSubscription(tv, false);
+            await this.resetTracking(tv);
+            this.cancelSleepTimer(tv, null);
         }
     }
 
-    startPolling() {
-        const interval = (this.config.pollingInterval || 15) * 1000;
-        this.pollingTimer = this.setInterval(() => this.pollStatus(), interval);
-        this.log.debug(`Polling started with interval ${interval}ms`);
+    /**
+     * A wake flow (Wake-on-LAN or Apple TV) starts, polls no longer decide the power state
+     */
+    async startWake(tv) {
+        tv.waking = true;
+        if (tv.powerState !== 'on') {
+            await this.setPowerState(tv, 'waking');
+        }
     }
 
-    async pollStatus() {
-        try {
-            const available = await this.client.isAvailable();
+    async finishWake(tv, success) {
+        tv.waking = false;
+        if (!success) {
+            success = await tv.client.isAvailable();
+        }
+        tv.failures = 0;
+        await this.setPowerState(tv, success ? 'on' : 'off');
+    }
 
-            if (available !== this.tvAvailable) {
-                this.tvAvailable = available;
-                await this.setStateAsync('info.connection', available, true);
-                await this.setStateAsync('power', available, true);
-                this.log.debug(`TV ${available ? 'is now reachable' : 'is no longer reachable'}`);
-            }
+    async pollStatus(tv) {
+        // Wake flows poll on their own, a timer poll may still be running
+        if (tv.polling) return;
+        tv.polling = true;
+        try {
+            await this.updatePowerState(tv, await tv.client.isAvailable());
+            const available = tv.available && tv.failures === 0;
 
-            if (available) {
+            // Volume and mute arrive as events while subscribed
+            if (available && !tv.renderingSubscription) {
                 try {
-                    const volume = await this.client.getVolume();
+                    const volume = await tv.client.getVolume();
                     if (volume !== null) {
-                        await this.setStateAsync('volume', volume, true);
+                        await this.setStateAsync(`${tv.id}.volume`, volume, true);
                     }
                 } catch (err) {
                     this.log.debug(`Could not get volume: ${err.message}`);
                 }
 
                 try {
-                    const muted = await this.client.getMute();
+                    const muted = await tv.client.getMute();
                     if (muted !== null) {
-                        await this.setStateAsync('mute', muted, true);
+                        await this.setStateAsync(`${tv.id}.mute`, muted, true);
                     }
                 } catch (err) {
                     this.log.debug(`Could not get mute state: ${err.message}`);
                 }
             }
+
+            if (available) {
+                await this.updateMediaStatus(tv);
+            }
+        } catch (err) {
+            this.log.debug(`Polling error (${tv.name}): ${err.message}`);
+        } finally {
+            tv.polling = false;
+        }
+    }
+
+    /**
+     * Power-on providers of a TV as table rows { type, target, command, value, timeout }.
+     * Rows of the provider table for this TV (or for all TVs) replace the power-on
+     * method of the TV list.
+     */
+    getPowerOnRows(tv) {
+        const rows = (Array.isArray(this.config.powerOnProviders) ? this.config.powerOnProviders : [])
+            .filter(row => row && row.enabled && PowerOn.PROVIDERS[row.type])
+            .filter(row => !row.tv || [tv.id, tv.name, tv.ip].includes(String(row.tv).trim()));
+        if (rows.length > 0) return rows;
+        const types = { wol: ['wol'], appleTv: ['appleTv'], wolAppleTv: ['wol', 'appleTv'] }[tv.powerOn] || [];
+        return types.map(type => ({ type, timeout: type === 'appleTv' ? 45 : 30 }));
+    }
+
+    /**
+     * Functions the power-on providers use to reach the adapter
+     */
+    getPowerOnContext() {
+        return {
+            sendWakeOnLan: (tv, mac) => this.sendWakeOnLan(tv, mac),
+            wakeAppleTv: async () => {
+                const appleTvConfig = await this._getAppleTvConfig();
+                if (!appleTvConfig) throw new Error('Apple TV not configured or not paired');
+                await this.wakeAppleTv(appleTvConfig);
+            },
+            setForeignState: (id, value) => this.setForeignStateAsync(id, value, false),
+            sendTo: (instance, command, message, timeout) => new Promise((resolve) => {
+                // Not every adapter answers, the TV check decides anyway
+                const timer = this.setTimeout(() => resolve(null), timeout);
+                this.sendTo(instance, command, message, (reply) => {
+                    this.clearTimeout(timer);
+                    resolve(reply);
+                });
+            }),
+        };
+    }
+
+    /**
+     * Power on a TV: the providers are tried in order until the TV answers.
+     * After a provider with post actions (Apple TV) the power-on actions run
+     * once tvSwitchDelay has passed since the wake command. Resolves true if the TV is on.
+     */
+    async powerOn(tv) {
+        const rows = this.getPowerOnRows(tv);
+        if (rows.length === 0) {
+            this.log.warn(`Power on not possible for ${tv.name}: no power-on method configured. Choose one in adapter settings.`);
+            return false;
+        }
+
+        await this.startWake(tv);
+        const context = this.getPowerOnContext();
+        for (const row of rows) {
+            const provider = PowerOn.createProvider(row);
+            const started = Date.now();
+            this.log.info(`Powering on ${tv.name} via ${provider.label}...`);
+            try {
+                if (!await provider.run(tv, context)) {
+                    this.log.warn(`${tv.name} did not come up after ${provider.label}`);
+                    continue;
+                }
+            } catch (err) {
+                this.log.warn(`Power on via ${provider.label} failed: ${err.message}`);
+                continue;
+            }
+
+            this.log.info(`${tv.name} is reachable after ${provider.label}`);
+            await this.setPowerState(tv, 'booting');
+            if (provider.postActions) {
+                const wait = (this.config.tvSwitchDelay || 10) * 1000 - (Date.now() - started);
+                if (wait > 0) {
+                    this.log.info(`Waiting ${Math.ceil(wait / 1000)}s for TV to boot, then running power-on actions...`);
+                    await new Promise(r => this.setTimeout(r, wait));
+                }
+                try {
+                    await this.runPowerOnActions(tv);
+                } catch (err) {
+                    this.log.warn(`Power-on actions failed: ${err.message}`);
+                }
+            }
+            await this.finishWake(tv, true);
+            return true;
+        }
+        await this.finishWake(tv, false);
+        return tv.powerState === 'on';
+    }
+
+    /**
+     * Power off via the power key, the key puts the TV into shuttingDown.
+     * With appleTvPowerOff the Apple TV of the CEC chain is switched off
+     * before or after the TV, appleTvPowerOffDelay seconds apart.
+     */
+    async powerOff(tv, withAppleTv = true) {
+        const order = withAppleTv && this.usesAppleTv(tv) ? this.config.appleTvPowerOff : 'none';
+        const delay = (this.config.appleTvPowerOffDelay || 0) * 1000;
+        if (order === 'none') {
+            this.log.info('Sending power off command');
+            await tv.client.sendKey('NRC_POWER-ONOFF');
+            return;
+        }
+
+        // The Apple TV going to sleep must not switch this TV off a second time (tvOffWithAppleTv)
+        tv.linkedPowerOff = true;
+        try {
+            if (order === 'before') {
+                await this.turnOffAppleTv();
+                if (delay) await new Promise(r => this.setTimeout(r, delay));
+            }
+
+            this.log.info('Sending power off command');
+            await tv.client.sendKey('NRC_POWER-ONOFF');
         } catch (err) {
-            this.log.debug(`Polling error: ${err.message}`);
+            tv.linkedPowerOff = false;
+            throw err;
+        }
+
+        if (order === 'after') {
+            // Callers (sleep timer) still talk to the TV, do not hold them up
+            this.setTimeout(() => this.turnOffAppleTv().finally(() => tv.linkedPowerOff = false), delay);
+        } else {
+            tv.linkedPowerOff = false;
+        }
+    }
+
+    /**
+     * Enabled wake strategies from the adapter settings as [{ id, timeout }], the
+     * one that worked last time first
+     */
+    getWakeStrategies() {
+        const rows = Array.isArray(this.config.wakeStrategies) ? this.config.wakeStrategies : [];
+        const strategies = rows.length === 0 ? VieraClient.defaultWakeStrategies() : rows
+            .filter(row => row && row.enabled && VieraClient.APPLE_TV_WAKE_STRATEGIES[row.strategy])
+            .map(row => ({ id: row.strategy, timeout: (parseFloat(row.timeout) || 30) * 1000 }));
+        const last = strategies.findIndex(strategy => strategy.id === this.lastWakeStrategy);
+        if (last > 0) {
+            strategies.unshift(...strategies.splice(last, 1));
+        }
+        return strategies;
+    }
+
+    /**
+     * Wake the Apple TV over the open helper connection, atvremote is only started
+     * while the helper is not connected. The strategy that worked is remembered.
+     */
+    async wakeAppleTv(appleTvConfig) {
+        const strategies = this.getWakeStrategies();
+        if (strategies.length === 0) {
+            throw new Error('No Apple TV wake strategy enabled in the adapter settings');
+        }
+        let id = null;
+        if (this.appleTv && this.appleTv.connected) {
+            try {
+                id = await this.appleTv.wake(strategies);
+            } catch (err) {
+                this.log.info(`${err.message}, falling back to atvremote`);
+            }
+        }
+        if (!id) {
+            id = await VieraClient.turnOnAppleTv(appleTvConfig, this.log, strategies);
+        }
+        if (id !== this.lastWakeStrategy) {
+            this.lastWakeStrategy = id;
+            await this.setStateAsync('info.appleTvWakeStrategy', id, true);
+        }
+    }
+
+    /**
+     * Actions after a power-on through the Apple TV: input, channel, volume and
+     * keys from the adapter settings. Right after booting the TV may still refuse
+     * commands (HTTP 403), the request queue retries them.
+     */
+    async runPowerOnActions(tv) {
+        const input = this.config.powerOnInput === undefined ? 'TV' : this.config.powerOnInput;
+        const channel = parseInt(this.config.powerOnChannel, 10) || 0;
+        const volume = parseInt(this.config.powerOnVolume, 10);
+        const keys = String(this.config.powerOnKeys === undefined ? 'WAIT 4s, ENTER' : this.config.powerOnKeys || '').trim();
+
+        const attempt = async (label, action) => {
+            try {
+                this.log.info(label);
+                await action();
+                return true;
+            } catch (err) {
+                this.log.warn(`${label} failed: ${err.message}`);
+                return false;
+            }
+        };
+
+        // Nothing else makes sense on the wrong input
+        if (input && !await attempt(`Switching TV input to ${input}`, () => this.switchInput(tv, input))) return;
+        if (channel > 0) {
+            await attempt(`Switching to channel ${channel}`, () => this.selectChannel(tv, channel));
+        }
+        if (!isNaN(volume) && volume >= 0) {
+            await attempt(`Setting volume to ${volume}`, () => this.setVolume(tv, Math.min(100, volume)));
+        }
+        if (keys) {
+            await this.runSequence(tv, keys, 'Power-on keys');
         }
     }
 
     async onStateChange(id, state) {
         if (!state || state.ack) return;
 
-        const stateName = id.split('.').pop();
-        const channel = id.split('.').slice(-2, -1)[0];
+        // <namespace>.<tvId>.[<channel>.]<state>
+        const parts = id.substring(this.namespace.length + 1).split('.');
+        if (parts[0] === 'appletv') {
+            await this.onAppleTvStateChange(id, parts, state);
+            return;
+        }
+        const tv = this.tvs.get(parts[0]);
+        if (!tv) return;
+        const stateName = parts[parts.length - 1];
+        const channel = parts.length > 2 ? parts[parts.length - 2] : '';
+
+        if (stateName === 'sleepTimer') {
+            this.boostPolling(tv);
+        } else {
+            this.onUserCommand(tv);
+        }
 
         try {
+            if (stateName === 'sleepTimer') {
+                const minutes = parseFloat(state.val);
+                if (!minutes || minutes <= 0) {
+                    if (tv.sleep && tv.sleep.reason === 'quiet hours') tv.quietOverride = tv.quietWindow;
+                    this.cancelSleepTimer(tv, 'sleep timer set to 0');
+                    await this._clearSleepStates(tv);
+                } else {
+                    await this.startSleepTimer(tv, minutes, 'sleep timer');
+                }
+                return;
+            }
+
             // Remote control buttons
-            if (channel === 'remote') {
-                const nrcCode = REMOTE_KEYS[stateName];
-                if (nrcCode) {
-                    this.log.debug(`Sending key: ${nrcCode}`);
-                    await this.client.sendKey(nrcCode);
+            if (channel === 'remote' && stateName === 'sequence') {
+                const text = String(state.val || '').trim();
+                if (!text) return;
+                await this.setStateAsync(id, text, true);
+                await this.runSequence(tv, text, 'Key sequence');
+                return;
+            }
+            if (channel === 'remote' && stateName === 'sequenceCancel') {
+                tv.client.sequences.cancel();
+                await this.setStateAsync(id, false, true);
+                return;
+            }
+            if (channel === 'macros') {
+                const macro = this.getMacros(tv).find(m => m.id === stateName);
+                if (macro) {
+                    // Acknowledge right away, the macro may run for a while
+                    await this.setStateAsync(id, false, true);
+                    this.log.info(`Running macro "${macro.name}"`);
+                    await this.runSequence(tv, macro.sequence, `Macro "${macro.name}"`);
+                }
+                return;
+            }
+
+            // Remote control buttons (remote.<group>.<key>)
+            if (parts[1] === 'remote' && parts.length === 4) {
+                const group = KEY_GROUPS[channel];
+                const key = group && group.keys[stateName];
+                if (key) {
+                    this.log.debug(`Sending key: ${key.code}`);
+                    await tv.client.sendKey(key.code);
                     await this.setStateAsync(id, false, true);
                 }
                 return;
             }
+            if (channel === 'remote' && stateName === 'rawKey') {
+                const code = resolveKey(state.val);
+                if (!code) {
+                    this.log.warn(`Unknown key: ${state.val}`);
+                    return;
+                }
+                this.log.debug(`Sending key: ${code}`);
+                await tv.client.sendKey(code);
+                await this.setStateAsync(id, state.val, true);
+                return;
+            }
+            if (channel === 'remote' && stateName === 'hold') {
+                // "<key> [ms]", without a time remote.holdDuration is used
+                const [name, ms] = String(state.val || '').trim().split(/\s+/);
+                if (!name) return;
+                let duration = parseInt(ms, 10);
+                if (isNaN(duration)) {
+                    const holdDuration = await this.getStateAsync(`${tv.id}.remote.holdDuration`);
+                    duration = (holdDuration && holdDuration.val) || 1000;
+                }
+                await this.setStateAsync(id, state.val, true);
+                await this.runSequence(tv, `HOLD ${name} ${duration}`, `Hold ${name}`);
+                return;
+            }
+            if (channel === 'remote' && stateName === 'holdDuration') {
+                await this.setStateAsync(id, state.val, true);
+                return;
+            }
+
+            // App launch (product id or app name)
+            if (channel === 'apps' && stateName === 'launch') {
+                const value = String(state.val || '').trim();
+                if (!value) return;
+                if (!tv.client.supports('X_LaunchApp')) {
+                    this.log.warn('This TV does not support launching apps (X_LaunchApp)');
+                    return;
+                }
+                const app = tv.appList.find(a => a.id === value || a.name.toLowerCase() === value.toLowerCase());
+                const productId = app ? app.id : value;
+                this.log.info(`Launching app ${app ? app.name : productId}`);
+                await tv.client.launchApp(productId);
+                await this.setStateAsync(id, productId, true);
+                await this.setCurrentInput(tv, 'APP');
+                return;
+            }
+
+            // DLNA media playback
+            if (channel === 'media') {
+                if (!tv.client.supports('SetAVTransportURI')) {
+                    this.log.warn('This TV does not support DLNA playback (AVTransport)');
+                    return;
+                }
+                if (stateName === 'announce') {
+                    const value = String(state.val || '').trim();
+                    if (!value) return;
+                    await this.setStateAsync(id, value, true);
+                    await this.announce(tv, MediaServer.parseAnnouncement(value));
+                    return;
+                }
+                if (stateName === 'url') {
+                    const url = String(state.val || '').trim();
+                    if (!url) return;
+                    this.log.info(`Playing media on TV: ${url}`);
+                    await tv.client.setAVTransportURI(url);
+                    await tv.client.play();
+                    await this.setStateAsync(id, url, true);
+                } else if (stateName === 'play') {
+                    await tv.client.play();
+                } else if (stateName === 'pause') {
+                    await tv.client.pause();
+                } else if (stateName === 'stop') {
+                    await tv.client.stop();
+                } else if (stateName === 'position') {
+                    const seconds = parseInt(state.val, 10);
+                    if (!isNaN(seconds)) {
+                        await tv.client.seek(seconds);
+                        await this.setStateAsync(id, seconds, true);
+                    }
+                    return;
+                }
+                await this.updateMediaStatus(tv);
+                return;
+            }
 
             // Power
             if (stateName === 'power') {
                 if (state.val) {
-                    // Power ON - try Apple TV HDMI-CEC if enabled
-                    if (this.config.useAppleTv) {
-                        const appleTvConfig = await this._getAppleTvConfig();
-                        if (appleTvConfig) {
-                            this.log.info('Powering on TV via Apple TV HDMI-CEC...');
-                            try {
-                                await VieraClient.turnOnAppleTv(appleTvConfig, this.log);
-                                this.log.info('Apple TV wake command sent successfully');
-
-                                // Auto-switch to TV tuner after CEC power-on
-                                const switchDelay = (this.config.tvSwitchDelay || 10) * 1000;
-                                this.log.info(`Waiting ${switchDelay / 1000}s for TV to boot, then switching to TV tuner...`);
-                                setTimeout(async () => {
-                                    try {
-                                        // Wait for TV to become reachable via SOAP
-                                        let tvReady = false;
-                                        for (let attempt = 1; attempt <= 5; attempt++) {
-                                            tvReady = await this.client.isAvailable();
-                                            if (tvReady) {
-                                                this.log.info(`TV is reachable (attempt ${attempt})`);
-                                                break;
-                                            }
-                                            this.log.info(`TV not yet reachable (attempt ${attempt}/5), waiting 5s...`);
-                                            await new Promise(r => setTimeout(r, 5000));
-                                        }
-
-                                        if (tvReady) {
-                                            // Retry sending TV key - TV may return 403 right after boot
-                                            let tvKeySent = false;
-                                            for (let keyAttempt = 1; keyAttempt <= 3; keyAttempt++) {
-                                                try {
-                                                    this.log.info(`Switching TV input to TV tuner (NRC_TV-ONOFF), attempt ${keyAttempt}`);
-                                                    await this.client.sendKey('NRC_TV-ONOFF');
-                                                    this.log.info('TV input switched to tuner');
-                                                    tvKeySent = true;
-                                                    break;
-                                                } catch (keyErr) {
-                                                    this.log.warn(`TV key attempt ${keyAttempt}/3 failed: ${keyErr.message}`);
-                                                    if (keyAttempt < 3) {
-                                                        await new Promise(r => setTimeout(r, 5000));
-                                                    }
-                                                }
-                                            }
-
-                                            // Send OK/Enter to confirm any on-screen dialog
-                                            if (tvKeySent) {
-                                                await new Promise(r => setTimeout(r, 4000));
-                                                try {
-                                                    this.log.info('Sending OK to confirm tuner switch');
-                                                    await this.client.sendKey('NRC_ENTER-ONOFF');
-                                                    this.log.info('OK sent');
-                                                } catch (okErr) {
-                                                    this.log.warn(`OK key failed: ${okErr.message}`);
-                                                }
-                                            }
-                                        } else {
-                                            this.log.warn('TV not reachable after power-on, cannot switch input');
-                                        }
-                                    } catch (err) {
-                                        this.log.warn(`TV input switch failed: ${err.message}`);
-                                    }
-                                }, switchDelay);
-                            } catch (err) {
-                                this.log.error(`Apple TV turn_on failed: ${err.message}`);
-                            }
-                        }
-                    } else {
-                        this.log.warn('Power on not possible: Apple TV not configured. Enable in adapter settings.');
-                    }
+                    await this.powerOn(tv);
                 } else {
-                    // Power OFF via SOAP
-                    this.log.info('Sending power off command');
-                    await this.client.sendKey('NRC_POWER-ONOFF');
+                    await this.powerOff(tv);
                 }
                 return;
             }
@@ -299,18 +2081,45 @@ class PanasonicViera extends utils.Adapter {
             if (stateName === 'volume') {
                 const level = parseInt(state.val, 10);
                 if (!isNaN(level)) {
-                    this.log.debug(`Setting volume to ${level}`);
-                    await this.client.setVolume(level);
-                    await this.setStateAsync('volume', level, true);
+                    await this.setVolume(tv, level);
                 }
                 return;
             }
 
+            if (stateName === 'volumeFade') {
+                const { target, duration } = this.parseFade(state.val);
+                await this.setStateAsync(id, state.val, true);
+                await this.fadeVolume(tv, target, duration);
+                return;
+            }
+
+            if (stateName === 'volumeStep') {
+                const delta = parseInt(state.val, 10);
+                if (isNaN(delta) || delta === 0) return;
+                this.cancelFade(tv);
+                const current = await tv.client.getVolume();
+                if (current === null) throw new Error('Could not read current volume');
+                const level = Math.max(0, Math.min(100, current + delta));
+                await tv.client.setVolume(level);
+                await this.setStateAsync(`${tv.id}.volume`, level, true);
+                await this.setStateAsync(id, 0, true);
+                return;
+            }
+
+            if (stateName === 'duck') {
+                await this.duck(tv);
+                return;
+            }
+            if (stateName === 'unduck') {
+                await this.unduck(tv);
+                return;
+            }
+
             // Mute
             if (stateName === 'mute') {
                 this.log.debug(`Setting mute to ${state.val}`);
-                await this.client.setMute(!!state.val);
-                await this.setStateAsync('mute', !!state.val, true);
+                await tv.client.setMute(!!state.val);
+                await this.setStateAsync(`${tv.id}.mute`, !!state.val, true);
                 return;
             }
 
@@ -318,31 +2127,77 @@ class PanasonicViera extends utils.Adapter {
             if (stateName === 'channel') {
                 const ch = parseInt(state.val, 10);
                 if (!isNaN(ch) && ch > 0) {
-                    this.log.info(`Switching to channel ${ch}`);
-                    await this.client.sendChannelNumber(ch);
+                    await this.selectChannel(tv, ch);
+                }
+                return;
+            }
+
+            // Channel by name (or number) from the channel table
+            if (stateName === 'channelName') {
+                const value = String(state.val || '').trim();
+                if (!value) return;
+                const ch = this.findChannel(value);
+                if (!ch) {
+                    this.log.warn(`Unknown channel: ${value}`);
+                    return;
                 }
+                await this.selectChannel(tv, ch.number);
+                return;
+            }
+
+            if (channel === 'favorites') {
+                if (stateName === 'next') await this.stepFavorite(tv, 1);
+                if (stateName === 'previous') await this.stepFavorite(tv, -1);
                 return;
             }
 
             // Input source
             if (stateName === 'input') {
-                const inputKey = INPUT_KEYS[String(state.val).toUpperCase()];
-                if (inputKey) {
-                    this.log.info(`Switching input to ${state.val}`);
-                    await this.client.sendKey(inputKey);
+                if (INPUT_KEYS[String(state.val).toUpperCase()]) {
+                    await this.switchInput(tv, state.val);
                 } else {
                     this.log.warn(`Unknown input: ${state.val}`);
+                    await this.setStateAsync(id, tv.input, true);
                 }
                 return;
             }
         } catch (err) {
-            this.log.error(`Error handling state change for ${id}: ${err.message}`);
+            await this.recordError(tv, err);
+            if (err instanceof SoapError && err.kind === 'unsupported') {
+                this.log.warn(`${tv.name} does not support ${err.action} (${id})`);
+            } else if (err instanceof SoapError && err.kind === 'auth') {
+                this.log.warn(`${tv.name} rejected ${err.action}. Encrypted models need TV pairing in the adapter settings.`);
+            } else {
+                this.log.error(`Error handling state change for ${id}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Store the last failed command in info.lastError/lastErrorCode/lastErrorTime
+     */
+    async recordError(tv, err) {
+        const code = err instanceof SoapError ? (err.errorCode || err.statusCode) : (err.statusCode || 0);
+        try {
+            await this.setStateAsync(`${tv.id}.info.lastError`, err.message, true);
+            await this.setStateAsync(`${tv.id}.info.lastErrorCode`, code, true);
+            await this.setStateAsync(`${tv.id}.info.lastErrorTime`, Date.now(), true);
+        } catch (e) {
+            this.log.debug(`Could not store last error: ${e.message}`);
         }
     }
 
     async onMessage(obj) {
         if (!obj || !obj.command) return;
 
+        if (API_COMMANDS.includes(obj.command)) {
+            const result = await this.handleApiCommand(obj.command, obj.message);
+            if (obj.callback) {
+                this.sendTo(obj.from, obj.command, result, obj.callback);
+            }
+            return;
+        }
+
         if (obj.command === 'testConnection') {
             try {
                 const ip = obj.message && obj.message.ip || this.config.ip;
@@ -353,6 +2208,7 @@ class PanasonicViera extends utils.Adapter {
                 }
                 const testClient = new VieraClient(ip, this.log);
                 const available = await testClient.isAvailable();
+                testClient.close();
                 const msg = available ? `OK \u2014 TV erreichbar (${ip})` : 'Nicht erreichbar \u2014 TV eingeschaltet? TV Remote App aktiviert?';
                 const emoji = available ? '\uD83D\uDFE2' : '\uD83D\uDD34';
                 await this._saveConnectionStatus(available ? 'ok' : 'error', msg);
@@ -363,6 +2219,30 @@ class PanasonicViera extends utils.Adapter {
             }
         }
 
+        if (obj.command === 'discoverTv') {
+            try {
+                const devices = await VieraClient.discoverTvs(this.log);
+                // autocompleteSendTo in the admin wants a list of options
+                if (obj.message && obj.message.list) {
+                    const options = devices.map(d => ({ label: `${d.name}${d.model ? ' ' + d.model : ''} (${d.ip})`, value: d.ip }));
+                    this.sendTo(obj.from, obj.command, options, obj.callback);
+                    return;
+                }
+                if (devices.length === 0) {
+                    this.sendTo(obj.from, obj.command, { result: '\uD83D\uDD34  Kein Viera TV gefunden' }, obj.callback);
+                } else {
+                    const list = devices.map(d => `${d.name}${d.model ? ' ' + d.model : ''} (${d.ip})`).join(', ');
+                    this.sendTo(obj.from, obj.command, { result: `\uD83D\uDFE2  Gefunden: ${list}` }, obj.callback);
+                }
+            } catch (err) {
+                if (obj.message && obj.message.list) {
+                    this.sendTo(obj.from, obj.command, [], obj.callback);
+                } else {
+                    this.sendTo(obj.from, obj.command, { result: `\uD83D\uDD34  Suche fehlgeschlagen: ${err.message}` }, obj.callback);
+                }
+            }
+        }
+
         if (obj.command === 'scanAppleTv') {
             try {
                 const targetIp = (obj.message && obj.message.ip) || this.config.appleTvAddress || '';
@@ -435,6 +2315,250 @@ class PanasonicViera extends utils.Adapter {
                 this.sendTo(obj.from, obj.command, { result: `\uD83D\uDD34  PIN fehlgeschlagen: ${err.message}` }, obj.callback);
             }
         }
+
+        if (obj.command === 'listTvs') {
+            // selectSendTo in the admin, the rows come from the (maybe unsaved) table
+            const rows = obj.message && Array.isArray(obj.message.tvs) ? obj.message.tvs : (this.config.tvs || []);
+            const options = [];
+            rows.forEach((row, index) => {
+                if (row && row.ip) options.push({ label: `${row.name || `TV ${index + 1}`} (${row.ip})`, value: String(index) });
+            });
+            this.sendTo(obj.from, obj.command, options, obj.callback);
+            return;
+        }
+
+        if (obj.command === 'startTvPairing') {
+            try {
+                const message = obj.message || {};
+                const rows = Array.isArray(this.config.tvs) ? this.config.tvs : [];
+                let ip = message.ip || this.config.ip;
+                let row = null;
+                if (rows.some(r => r && r.ip)) {
+                    // Table mode: the chosen row, it must be saved so the credentials land in it
+                    row = message.row !== undefined && message.row !== '' ? parseInt(message.row, 10) : NaN;
+                    const tvRow = rows[row];
+                    if (!tvRow || !tvRow.ip || (message.ip && tvRow.ip.trim() !== message.ip.trim())) {
+                        this.sendTo(obj.from, obj.command, { result: '\uD83D\uDD34  Erst den TV ausw\u00e4hlen und die Tabelle speichern' }, obj.callback);
+                        return;
+                    }
+                    ip = tvRow.ip.trim();
+                }
+                if (!ip) {
+                    this.sendTo(obj.from, obj.command, { result: '\uD83D\uDD34  Keine IP-Adresse eingegeben' }, obj.callback);
+                    return;
+                }
+                this._tvPairRow = row;
+                this._tvPairClient = new VieraClient(ip, this.log);
+                await this._tvPairClient.getDeviceInfo();
+                if (!this._tvPairClient.supports('X_DisplayPinCode')) {
+                    this._tvPairClient = null;
+                    this.sendTo(obj.from, obj.command, { result: '\u26AA  Dieser TV ben\u00f6tigt kein Pairing (keine Verschl\u00fcsselung)' }, obj.callback);
+                    return;
+                }
+                await this._tvPairClient.requestPinCode('ioBroker');
+                this.sendTo(obj.from, obj.command, { result: '\uD83D\uDFE2  PIN wird auf dem TV angezeigt. Bitte eingeben und absenden.' }, obj.callback);
+            } catch (err) {
+                this._tvPairClient = null;
+                this.sendTo(obj.from, obj.command, { result: `\uD83D\uDD34  TV-Pairing fehlgeschlagen: ${err.message}` }, obj.callback);
+            }
+        }
+
+        if (obj.command === 'submitTvPin') {
+            try {
+                const pin = obj.message && obj.message.pin;
+                if (!pin) {
+                    this.sendTo(obj.from, obj.command, { result: '\uD83D\uDD34  Kein PIN eingegeben' }, obj.callback);
+                    return;
+                }
+                if (!this._tvPairClient) {
+                    this.sendTo(obj.from, obj.command, { result: '\uD83D\uDD34  Kein aktives TV-Pairing. Erst Pairing starten!' }, obj.callback);
+                    return;
+                }
+                const ip = this._tvPairClient.ip;
+                const { appId, encryptionKey } = await this._tvPairClient.authorizePinCode(String(pin));
+                this._tvPairClient = null;
+                const tv = this.getTv(ip);
+                if (tv) {
+                    tv.client.setCredentials(appId, encryptionKey);
+                }
+                await this._storeTvCredentials(this._tvPairRow, ip, appId, encryptionKey);
+                this.sendTo(obj.from, obj.command, { result: '\uD83D\uDFE2  TV-Pairing erfolgreich! Schl\u00fcssel gespeichert.' }, obj.callback);
+            } catch (err) {
+                this._tvPairClient = null;
+                this.sendTo(obj.from, obj.command, { result: `\uD83D\uDD34  PIN fehlgeschlagen: ${err.message}` }, obj.callback);
+            }
+        }
+    }
+
+    /**
+     * Run a script command. The TV is chosen by message.tv (id, name or IP, default
+     * the first TV). Never throws, failures are reported as { ok: false, error }.
+     */
+    async handleApiCommand(command, message) {
+        let options;
+        try {
+            options = this.parseApiMessage(command, message);
+        } catch (err) {
+            return { ok: false, error: err.message, data: null };
+        }
+        const tv = this.getTv(options.tv);
+        if (!tv) {
+            return { ok: false, error: options.tv ? `Unknown TV: ${options.tv}` : 'No TV configured', data: null };
+        }
+        try {
+            const data = await this.runApiCommand(tv, command, options);
+            return { ok: true, error: null, data: data === undefined ? null : data };
+        } catch (err) {
+            // Bad arguments never reached the TV
+            if (!err.invalidRequest && !err.cancelled) {
+                await this.recordError(tv, err);
+            }
+            this.log.debug(`sendTo ${command} (${tv.name}) failed: ${err.message}`);
+            return { ok: false, error: err.message, data: null };
+        }
+    }
+
+    /**
+     * Message of a script command as object. volumeFade and announce also take the
+     * text their states accept ("10,30", a URL or JSON).
+     */
+    parseApiMessage(command, message) {
+        if (typeof message === 'string' && command === 'volumeFade') return this.parseFade(message);
+        if (typeof message === 'string' && command === 'announce') return MediaServer.parseAnnouncement(message);
+        return message && typeof message === 'object' ? message : {};
+    }
+
+    async runApiCommand(tv, command, options) {
+        const invalid = (message) => Object.assign(new Error(message), { invalidRequest: true });
+
+        // Reading commands must not cancel a sleep timer
+        if (command !== 'getVolume' && command !== 'getStatus') {
+            this.onUserCommand(tv);
+        }
+
+        switch (command) {
+            case 'sendKey': {
+                const code = resolveKey(options.key);
+                if (!code) throw invalid(`Unknown key: ${options.key}`);
+                await tv.client.sendKey(code);
+                return { key: code };
+            }
+            case 'sendKeys': {
+                const text = Array.isArray(options.keys) ? options.keys.join(',') : String(options.keys || '');
+                let steps;
+                try {
+                    steps = SequenceRunner.parse(text, KEYS);
+                } catch (err) {
+                    throw invalid(err.message);
+                }
+                if (steps.length === 0) throw invalid('No keys given');
+                const error = await this.runSequence(tv, text, 'sendTo sendKeys');
+                if (error) throw error;
+                return { steps: steps.length };
+            }
+            case 'setVolume': {
+                const level = parseInt(options.volume, 10);
+                if (isNaN(level) || level < 0 || level > 100) throw invalid(`Invalid volume: ${options.volume}`);
+                await this.setVolume(tv, level);
+                return { volume: level };
+            }
+            case 'getVolume': {
+                const volume = await tv.client.getVolume();
+                if (volume === null) throw new Error('Could not read current volume');
+                await this.setStateAsync(`${tv.id}.volume`, volume, true);
+                return { volume };
+            }
+            case 'setMute': {
+                if (options.mute === undefined) throw invalid('Missing mute');
+                const mute = !!options.mute;
+                await tv.client.setMute(mute);
+                await this.setStateAsync(`${tv.id}.mute`, mute, true);
+                return { mute };
+            }
+            case 'volumeFade': {
+                let fade;
+                try {
+                    fade = this.parseFade(JSON.stringify(options));
+                } catch (err) {
+                    throw invalid(err.message);
+                }
+                // Answers after the fade, completed is false if another volume command stopped it
+                const completed = await this.fadeVolume(tv, fade.target, fade.duration);
+                return { volume: fade.target, completed };
+            }
+            case 'setChannel': {
+                const value = String(options.channel === undefined ? '' : options.channel).trim();
+                const ch = this.findChannel(value);
+                const number = ch ? ch.number : (/^\d+$/.test(value) ? parseInt(value, 10) : 0);
+                if (!number) throw invalid(`Unknown channel: ${value}`);
+                await this.selectChannel(tv, number);
+                return { channel: number, name: ch ? ch.name : '' };
+            }
+            case 'setInput': {
+                const input = String(options.input || '').toUpperCase();
+                if (!INPUT_KEYS[input]) throw invalid(`Unknown input: ${options.input}`);
+                await this.switchInput(tv, input);
+                return { input };
+            }
+            case 'powerOn':
+                if (this.getPowerOnRows(tv).length === 0) throw invalid(`No power-on method configured for ${tv.name}`);
+                if (!await this.powerOn(tv)) throw new Error(`${tv.name} did not power on (powerState ${tv.powerState})`);
+                return { powerState: tv.powerState };
+            case 'powerOff':
+                // Without network connection the power key cannot reach the TV anyway
+                if (tv.powerState !== 'off') {
+                    await this.powerOff(tv);
+                }
+                return { powerState: tv.powerState };
+            case 'announce':
+                // Answers after the announcement and the restored volume
+                await this.announce(tv, options);
+                return null;
+            case 'getStatus':
+                return this.getStatus(tv);
+        }
+        return null;
+    }
+
+    /**
+     * Snapshot of the known TV state, nothing is requested from the TV
+     */
+    async getStatus(tv) {
+        const value = async (id) => {
+            const state = await this.getStateAsync(`${tv.id}.${id}`);
+            return state ? state.val : null;
+        };
+        return {
+            id: tv.id,
+            name: tv.name,
+            ip: tv.ip,
+            powerState: tv.powerState,
+            reachable: tv.available,
+            volume: await value('volume'),
+            mute: await value('mute'),
+            input: tv.input,
+            channel: tv.currentChannel || null,
+            channelName: await value('currentChannelName'),
+            sleepTimerEnd: await value('sleepTimerEnd'),
+            pollingInterval: tv.pollingInterval / 1000,
+        };
+    }
+
+    /**
+     * Store app id and key of an encrypted TV in its table row (index), or in the
+     * single-TV settings if row is null
+     */
+    async _storeTvCredentials(row, ip, appId, encryptionKey) {
+        let native;
+        if (row !== null) {
+            const rows = Array.isArray(this.config.tvs) ? this.config.tvs : [];
+            const tvs = rows.map((tvRow, i) => i === row ? { ...tvRow, appId, encryptionKey } : tvRow);
+            native = { tvs };
+        } else {
+            native = { tvAppId: appId, tvEncryptionKey: encryptionKey };
+        }
+        await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, { native });
+        this.log.info(`Stored TV encryption credentials for ${ip} in adapter config`);
     }
 
     async _storePairCredentials(protocol, credentials) {
@@ -479,20 +2603,51 @@ class PanasonicViera extends utils.Adapter {
     }
 
     onUnload(callback) {
+        this.unloading = true;
         try {
-            if (this.pollingTimer) {
-                this.clearInterval(this.pollingTimer);
-                this.pollingTimer = null;
+            if (this.quietHoursTimer) {
+                this.clearInterval(this.quietHoursTimer);
+                this.quietHoursTimer = null;
+            }
+            for (const tv of this.tvs.values()) {
+                this.cancelFade(tv);
+                // Stop counting, but keep sleepTimerEnd so the timer continues after a restart
+                if (tv.sleep) {
+                    this.clearInterval(tv.sleep.timer);
+                    tv.sleep = null;
+                }
+                if (tv.pollingTimer) {
+                    this.clearTimeout(tv.pollingTimer);
+                    tv.pollingTimer = null;
+                }
+                this.clearSubscription(tv, true);
             }
             if (this._pairProcess) {
                 try { this._pairProcess.kill('SIGTERM'); } catch (_) {}
                 this._pairProcess = null;
             }
+            if (this.appleTv) {
+                this.appleTv.stop();
+                this.appleTv = null;
+            }
+            if (this.mediaServer) {
+                this.mediaServer.stop();
+                this.mediaServer = null;
+            }
+            if (this.eventServer) {
+                this.eventServer.stop();
+                this.eventServer = null;
+            }
             this.setState('info.connection', false, true);
+            // Give the UNSUBSCRIBE requests a moment before the connections are closed
+            const clients = [...this.tvs.values()].map(tv => tv.client);
+            this.setTimeout(() => {
+                clients.forEach(client => client.close());
+                callback();
+            }, 500);
         } catch (e) {
-            // ignore
+            callback();
         }
-        callback();
     }
 }
 
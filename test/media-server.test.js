@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const MediaServer = require('../lib/media-server');
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('MediaServer', () => {
+    describe('parseRange', () => {
+        it('returns null without a usable header', () => {
+            assert.strictEqual(MediaServer.parseRange(undefined, 100), null);
+            assert.strictEqual(MediaServer.parseRange('bytes=-', 100), null);
+            assert.strictEqual(MediaServer.parseRange('items=0-10', 100), null);
+        });
+
+        it('parses start-end and open ranges', () => {
+            assert.deepStrictEqual(MediaServer.parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+            assert.deepStrictEqual(MediaServer.parseRange('bytes=50-', 100), { start: 50, end: 99 });
+        });
+
+        it('limits the end to the size', () => {
+            assert.deepStrictEqual(MediaServer.parseRange('bytes=90-200', 100), { start: 90, end: 99 });
+        });
+
+        it('parses suffix ranges', () => {
+            assert.deepStrictEqual(MediaServer.parseRange('bytes=-10', 100), { start: 90, end: 99 });
+            assert.deepStrictEqual(MediaServer.parseRange('bytes=-500', 100), { start: 0, end: 99 });
+        });
+
+        it('returns false for unsatisfiable ranges', () => {
+            assert.strictEqual(MediaServer.parseRange('bytes=100-', 100), false);
+            assert.strictEqual(MediaServer.parseRange('bytes=20-10', 100), false);
+        });
+    });
+
+    describe('parseFileStore', () => {
+        it('splits adapter and folder', () => {
+            assert.deepStrictEqual(MediaServer.parseFileStore('vis.0/media/tts'), { adapter: 'vis.0', folder: 'media/tts' });
+            assert.deepStrictEqual(MediaServer.parseFileStore('/vis.0/'), { adapter: 'vis.0', folder: '' });
+            assert.strictEqual(MediaServer.parseFileStore(''), null);
+        });
+    });
+
+    describe('resolveMediaPath', () => {
+        const server = new MediaServer(null, { directory: '/opt/iobroker/media' });
+
+        it('resolves absolute and relative paths in the media directory', () => {
+            assert.strictEqual(server.resolveMediaPath('/opt/iobroker/media/tts/gong.mp3'), '/opt/iobroker/media/tts/gong.mp3');
+            assert.strictEqual(server.resolveMediaPath('tts/gong.mp3'), '/opt/iobroker/media/tts/gong.mp3');
+        });
+
+        it('rejects paths outside the media directory', () => {
+            for (const file of ['/etc/passwd', '../iobroker-data/objects.jsonl', '/opt/iobroker/media-other/a.mp3', '/opt/iobroker/media', '']) {
+                assert.strictEqual(server.resolveMediaPath(file), null, file);
+            }
+        });
+
+        it('rejects everything without media directory', () => {
+            assert.strictEqual(new MediaServer(null, {}).resolveMediaPath('/tmp/a.mp3'), null);
+        });
+    });
+
+    describe('file store', () => {
+        let server;
+        let port;
+
+        before(async () => {
+            server = new MediaServer(null, {
+                fileStore: 'vis.0/media',
+                readFileStore: async (adapter, filePath) => ({ file: `${adapter}:${filePath}`, mimeType: 'text/plain' }),
+            });
+            port = await server.start(0, '127.0.0.1');
+        });
+
+        after(() => server.stop());
+
+        it('serves files from the configured folder', async () => {
+            assert.deepStrictEqual(await get(port, '/iobroker/vis.0/media/a.mp3'), { status: 200, body: 'vis.0:media/a.mp3' });
+        });
+
+        it('refuses other adapters, other folders and parent paths', async () => {
+            for (const path of ['/iobroker/admin.0/media/a.mp3', '/iobroker/vis.0/other/a.mp3', '/iobroker/vis.0/media/../secret', '/iobroker/vis.0/media%2F..%2Fsecret']) {
+                assert.strictEqual((await get(port, path)).status, 404, path);
+            }
+        });
+
+        it('serves registered buffers until they are unregistered', async () => {
+            const path = server.registerBuffer(Buffer.from('image'), 'image/jpeg', 'artwork.jpg');
+            assert.deepStrictEqual(await get(port, path), { status: 200, body: 'image' });
+            server.unregisterFile(path);
+            assert.strictEqual((await get(port, path)).status, 404);
+        });
+    });
+});
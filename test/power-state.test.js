@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+const { nextPowerState, pollingInterval, countOffPolls } = require('../lib/power-state');
+
+function tvIn(powerState, props = {}) {
+    return { powerState, failures: 0, waking: false, graceUntil: 0, fastPollUntil: 0, offPolls: 0, ...props };
+}
+
+describe('power-state', () => {
+    describe('nextPowerState', () => {
+        it('decides on or off right after start', () => {
+            assert.strictEqual(nextPowerState(tvIn(null), true, 3), 'on');
+            assert.strictEqual(nextPowerState(tvIn(null, { failures: 1 }), false, 3), 'off');
+        });
+
+        it('reports unreachable until the failures reach the limit', () => {
+            assert.strictEqual(nextPowerState(tvIn('on', { failures: 1 }), false, 3), 'unreachable');
+            assert.strictEqual(nextPowerState(tvIn('unreachable', { failures: 2 }), false, 3), 'unreachable');
+            assert.strictEqual(nextPowerState(tvIn('unreachable', { failures: 3 }), false, 3), 'off');
+            assert.strictEqual(nextPowerState(tvIn('unreachable', { failures: 2 }), true, 3), 'on');
+        });
+
+        it('leaves waking and booting to the wake flow', () => {
+            assert.strictEqual(nextPowerState(tvIn('waking', { waking: true, failures: 5 }), false, 3), null);
+            assert.strictEqual(nextPowerState(tvIn('waking', { waking: true }), true, 3), 'booting');
+            assert.strictEqual(nextPowerState(tvIn('booting', { waking: true }), true, 3), null);
+        });
+
+        it('treats booting without wake flow like on', () => {
+            assert.strictEqual(nextPowerState(tvIn('booting'), true, 3), 'on');
+            assert.strictEqual(nextPowerState(tvIn('booting', { failures: 1 }), false, 3), 'unreachable');
+        });
+
+        it('ignores polls during the grace period after switching off', () => {
+            const now = 1000;
+            assert.strictEqual(nextPowerState(tvIn('shuttingDown', { graceUntil: 2000 }), true, 3, now), null);
+            assert.strictEqual(nextPowerState(tvIn('shuttingDown', { graceUntil: 500 }), true, 3, now), 'on');
+            assert.strictEqual(nextPowerState(tvIn('shuttingDown', { graceUntil: 500, failures: 1 }), false, 3, now), 'off');
+        });
+    });
+
+    describe('pollingInterval', () => {
+        const config = { pollingInterval: 15, fastPollingInterval: 2, maxPollingInterval: 120 };
+
+        it('polls normally while the TV is on', () => {
+            assert.strictEqual(pollingInterval(tvIn('on'), config, 1000), 15000);
+        });
+
+        it('polls fast during the fast window and power transitions', () => {
+            assert.strictEqual(pollingInterval(tvIn('on', { fastPollUntil: 2000 }), config, 1000), 2000);
+            for (const state of ['waking', 'booting', 'shuttingDown']) {
+                assert.strictEqual(pollingInterval(tvIn(state), config, 1000), 2000, state);
+            }
+        });
+
+        it('doubles the interval per poll while off or unreachable, up to the maximum', () => {
+            for (const state of ['off', 'unreachable']) {
+                assert.deepStrictEqual([1, 2, 3, 4, 5, 50].map(offPolls => pollingInterval(tvIn(state, { offPolls }), config, 1000)),
+                    [15000, 30000, 60000, 120000, 120000, 120000], state);
+            }
+        });
+
+        it('polls an unreachable TV fast only during the fast window', () => {
+            assert.strictEqual(pollingInterval(tvIn('unreachable', { fastPollUntil: 2000, offPolls: 0 }), config, 1000), 2000);
+            assert.strictEqual(pollingInterval(tvIn('unreachable', { offPolls: 3 }), config, 1000), 60000);
+        });
+
+        it('never polls slower than normal or faster than fast allows', () => {
+            assert.strictEqual(pollingInterval(tvIn('off', { offPolls: 5 }), { pollingInterval: 300, maxPollingInterval: 120 }, 1000), 300000);
+            assert.strictEqual(pollingInterval(tvIn('waking'), { pollingInterval: 1, fastPollingInterval: 2 }, 1000), 1000);
+        });
+
+        it('uses the defaults for missing settings', () => {
+            assert.strictEqual(pollingInterval(tvIn('on'), {}, 1000), 15000);
+            assert.strictEqual(pollingInterval(tvIn('waking'), {}, 1000), 2000);
+        });
+    });
+
+    describe('countOffPolls', () => {
+        it('counts while the TV is off or unreachable and the fast window is over', () => {
+            assert.strictEqual(countOffPolls(tvIn('off', { offPolls: 2 }), 1000), 3);
+            assert.strictEqual(countOffPolls(tvIn('unreachable', { offPolls: 2 }), 1000), 3);
+            assert.strictEqual(countOffPolls(tvIn('off', { offPolls: 2, fastPollUntil: 2000 }), 1000), 0);
+            assert.strictEqual(countOffPolls(tvIn('on', { offPolls: 2 }), 1000), 0);
+        });
+    });
+});
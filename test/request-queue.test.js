@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('assert');
+const RequestQueue = require('../lib/request-queue');
+
+const { PRIORITY } = RequestQueue;
+
+function errorWith(props) {
+    return Object.assign(new Error('failed'), props);
+}
+
+describe('RequestQueue', () => {
+    describe('priority', () => {
+        it('lets higher priority requests overtake queued ones, equal priorities keep their order', async () => {
+            const queue = new RequestQueue(null, { minGap: 0 });
+            const order = [];
+            let release;
+            const blocker = queue.push(() => new Promise(r => release = r), { priority: PRIORITY.HIGH });
+            const jobs = [
+                queue.push(async () => order.push('low1'), { priority: PRIORITY.LOW }),
+                queue.push(async () => order.push('normal'), { priority: PRIORITY.NORMAL }),
+                queue.push(async () => order.push('low2'), { priority: PRIORITY.LOW }),
+                queue.push(async () => order.push('high'), { priority: PRIORITY.HIGH }),
+            ];
+            release();
+            await Promise.all([blocker, ...jobs]);
+            assert.deepStrictEqual(order, ['high', 'normal', 'low1', 'low2']);
+        });
+
+        it('keeps the minimum gap between requests', async () => {
+            const queue = new RequestQueue(null, { minGap: 50 });
+            const times = [];
+            await Promise.all([1, 2].map(() => queue.push(async () => times.push(Date.now()))));
+            assert.ok(times[1] - times[0] >= 45, `gap was ${times[1] - times[0]}ms`);
+        });
+    });
+
+    describe('retries', () => {
+        it('retries transient failures and resolves with the later result', async () => {
+            const queue = new RequestQueue(null, { minGap: 0, retries: 2, retryDelay: 1 });
+            let attempts = 0;
+            const result = await queue.push(async () => {
+                attempts++;
+                if (attempts < 3) throw errorWith({ code: 'ETIMEDOUT' });
+                return 'ok';
+            });
+            assert.strictEqual(result, 'ok');
+            assert.strictEqual(attempts, 3);
+        });
+
+        it('gives up after the configured retries', async () => {
+            const queue = new RequestQueue(null, { minGap: 0, retries: 2, retryDelay: 1 });
+            let attempts = 0;
+            await assert.rejects(queue.push(async () => {
+                attempts++;
+                throw errorWith({ statusCode: 503 });
+            }));
+            assert.strictEqual(attempts, 3);
+        });
+
+        it('sends requests with retries: 0 exactly once', async () => {
+            const queue = new RequestQueue(null, { minGap: 0, retries: 2, retryDelay: 1 });
+            let attempts = 0;
+            await assert.rejects(queue.push(async () => {
+                attempts++;
+                throw errorWith({ code: 'ECONNRESET' });
+            }, { retries: 0 }));
+            assert.strictEqual(attempts, 1);
+        });
+
+        it('lets retryIf decide instead of isRetryable', async () => {
+            const queue = new RequestQueue(null, { minGap: 0, retries: 2, retryDelay: 1 });
+            let attempts = 0;
+            await assert.rejects(queue.push(async () => {
+                attempts++;
+                throw errorWith({ code: 'ETIMEDOUT' });
+            }, { retryIf: err => !!err.statusCode }));
+            assert.strictEqual(attempts, 1);
+        });
+
+        it('does not retry permanent failures', async () => {
+            const queue = new RequestQueue(null, { minGap: 0, retries: 2, retryDelay: 1 });
+            let attempts = 0;
+            await assert.rejects(queue.push(async () => {
+                attempts++;
+                throw errorWith({ statusCode: 404 });
+            }));
+            assert.strictEqual(attempts, 1);
+        });
+    });
+
+    describe('isRetryable', () => {
+        it('retries timeouts, reset connections, 403 and 5xx', () => {
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ code: 'ETIMEDOUT' })), true);
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ code: 'ECONNRESET' })), true);
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ statusCode: 403 })), true);
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ statusCode: 500 })), true);
+        });
+
+        it('does not retry other failures', () => {
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ code: 'ECONNREFUSED' })), false);
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ statusCode: 400 })), false);
+        });
+
+        it('lets errors with a retryable flag decide', () => {
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ statusCode: 500, retryable: false })), false);
+            assert.strictEqual(RequestQueue.isRetryable(errorWith({ statusCode: 400, retryable: true })), true);
+        });
+    });
+
+    describe('clear', () => {
+        it('rejects all queued requests', async () => {
+            const queue = new RequestQueue(null, { minGap: 0 });
+            let release;
+            const running = queue.push(() => new Promise(r => release = r));
+            const queued = queue.push(async () => 'never');
+            queue.clear('closed');
+            await assert.rejects(queued, /closed/);
+            release('done');
+            assert.strictEqual(await running, 'done');
+            assert.strictEqual(queue.length, 0);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const SequenceRunner = require('../lib/sequence-runner');
+const { KEYS } = require('../lib/nrc-keys');
+
+function fakeClient() {
+    return {
+        sent: [],
+        async sendKey(code) {
+            this.sent.push(code);
+        },
+    };
+}
+
+describe('SequenceRunner', () => {
+    describe('parse', () => {
+        it('resolves key names case-insensitively', () => {
+            assert.deepStrictEqual(SequenceRunner.parse('Menu, OK', KEYS), [
+                { type: 'key', code: 'NRC_MENU-ONOFF' },
+                { type: 'key', code: 'NRC_ENTER-ONOFF' },
+            ]);
+        });
+
+        it('accepts comma, semicolon and new line as separators', () => {
+            assert.strictEqual(SequenceRunner.parse('up; down\nleft,right', KEYS).length, 4);
+        });
+
+        it('sends NRC_ codes as given and adds -ONOFF without suffix', () => {
+            assert.deepStrictEqual(SequenceRunner.parse('NRC_RETURN, NRC_VOLUP-ON', KEYS), [
+                { type: 'key', code: 'NRC_RETURN-ONOFF' },
+                { type: 'key', code: 'NRC_VOLUP-ON' },
+            ]);
+        });
+
+        it('repeats keys with "x3" and "*3"', () => {
+            const steps = SequenceRunner.parse('down x3, up*2', KEYS);
+            assert.deepStrictEqual(steps.map(s => s.code), [
+                'NRC_DOWN-ONOFF', 'NRC_DOWN-ONOFF', 'NRC_DOWN-ONOFF', 'NRC_UP-ONOFF', 'NRC_UP-ONOFF',
+            ]);
+        });
+
+        it('parses waits in ms and seconds', () => {
+            assert.deepStrictEqual(SequenceRunner.parse('WAIT 500, wait 2s, WAIT 1.5s', KEYS), [
+                { type: 'wait', ms: 500 },
+                { type: 'wait', ms: 2000 },
+                { type: 'wait', ms: 1500 },
+            ]);
+        });
+
+        it('parses long presses with and without a duration', () => {
+            assert.deepStrictEqual(SequenceRunner.parse('HOLD volumeUp 3s, hold ok', KEYS), [
+                { type: 'hold', code: 'NRC_VOLUP-ONOFF', ms: 3000 },
+                { type: 'hold', code: 'NRC_ENTER-ONOFF', ms: 1000 },
+            ]);
+        });
+
+        it('returns no steps for an empty text', () => {
+            assert.deepStrictEqual(SequenceRunner.parse('  ', KEYS), []);
+            assert.deepStrictEqual(SequenceRunner.parse(null, KEYS), []);
+        });
+
+        it('rejects unknown keys, invalid steps and repeat counts out of range', () => {
+            assert.throws(() => SequenceRunner.parse('menu, nosuchkey', KEYS), /Unknown key "nosuchkey"/);
+            assert.throws(() => SequenceRunner.parse('menu ok', KEYS), /Invalid sequence step/);
+            assert.throws(() => SequenceRunner.parse('down x0', KEYS), /Repeat count/);
+            assert.throws(() => SequenceRunner.parse('down x51', KEYS), /Repeat count/);
+        });
+    });
+
+    describe('run', () => {
+        it('sends the keys in order and reports progress from 0', async () => {
+            const client = fakeClient();
+            const runner = new SequenceRunner(client, null, { keyDelay: 0 });
+            const progress = [];
+            await runner.run(SequenceRunner.parse('menu, WAIT 1, ok', KEYS), (done, total) => progress.push(`${done}/${total}`));
+            assert.deepStrictEqual(client.sent, ['NRC_MENU-ONOFF', 'NRC_ENTER-ONOFF']);
+            assert.deepStrictEqual(progress, ['0/3', '1/3', '2/3', '3/3']);
+            assert.strictEqual(runner.running, false);
+        });
+
+        it('presses and releases held keys', async () => {
+            const client = fakeClient();
+            const runner = new SequenceRunner(client, null, { keyDelay: 0 });
+            await runner.run([{ type: 'hold', code: 'NRC_VOLUP-ONOFF', ms: 1 }]);
+            assert.deepStrictEqual(client.sent, ['NRC_VOLUP-ON', 'NRC_VOLUP-OFF']);
+        });
+
+        it('cancels the running and all queued sequences', async () => {
+            const client = fakeClient();
+            const runner = new SequenceRunner(client, null, { keyDelay: 0 });
+            const first = runner.run(SequenceRunner.parse('menu, WAIT 5000, ok', KEYS));
+            const second = runner.run(SequenceRunner.parse('back', KEYS));
+            await new Promise(r => setTimeout(r, 10));
+            runner.cancel();
+            await assert.rejects(first, err => err.cancelled === true);
+            await assert.rejects(second, err => err.cancelled === true);
+            assert.deepStrictEqual(client.sent, ['NRC_MENU-ONOFF']);
+        });
+    });
+});
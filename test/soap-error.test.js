@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('assert');
+const SoapError = require('../lib/soap-error');
+
+function fault(code, description) {
+    return '<s:Envelope><s:Body><s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+        `<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>${code}</errorCode><errorDescription>${description}</errorDescription></UPnPError>` +
+        '</detail></s:Fault></s:Body></s:Envelope>';
+}
+
+describe('SoapError', () => {
+    describe('fromResponse', () => {
+        it('reads error code and description of a UPnP fault', () => {
+            const err = SoapError.fromResponse('X_SendKey', 500, fault(401, 'Invalid Action'));
+            assert.strictEqual(err.errorCode, 401);
+            assert.strictEqual(err.description, 'Invalid Action');
+            assert.strictEqual(err.statusCode, 500);
+            assert.strictEqual(err.message, 'X_SendKey failed: Invalid Action (UPnP error 401)');
+        });
+
+        it('falls back to the fault string and the HTTP status', () => {
+            assert.strictEqual(SoapError.fromResponse('GetVolume', 500, '<faultstring>Internal</faultstring>').message, 'GetVolume failed: Internal');
+            const err = SoapError.fromResponse('GetVolume', 503, '');
+            assert.strictEqual(err.errorCode, 0);
+            assert.strictEqual(err.message, 'GetVolume failed: HTTP 503');
+        });
+    });
+
+    describe('kind and retryable', () => {
+        const cases = [
+            [500, 401, 'unsupported', false],
+            [500, 402, 'invalidArgs', false],
+            [500, 600, 'invalidArgs', false],
+            [403, 0, 'auth', false],
+            [500, 606, 'auth', false],
+            [503, 0, 'busy', true],
+            [500, 0, 'failed', true],
+            [400, 0, 'failed', false],
+        ];
+        for (const [status, code, kind, retryable] of cases) {
+            it(`HTTP ${status} with UPnP error ${code} is ${kind}`, () => {
+                const err = SoapError.fromResponse('X_SendKey', status, code ? fault(code, 'x') : '');
+                assert.strictEqual(err.kind, kind);
+                assert.strictEqual(err.retryable, retryable);
+            });
+        }
+    });
+});
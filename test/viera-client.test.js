@@ -0,0 +1,333 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const VieraClient = require('../lib/viera-client');
+const SoapError = require('../lib/soap-error');
+const { deriveSessionKeys, encryptPayload, decryptPayload } = require('../lib/viera-crypto');
+
+/**
+ * Client of a paired TV whose SOAP requests are answered by a fake TV, the
+ * sent requests are collected in client.sent
+ */
+function pairedClient(sessionResult) {
+    const client = new VieraClient('127.0.0.1', null, { appId: 'app', encryptionKey: crypto.randomBytes(16).toString('base64') });
+    const keys = deriveSessionKeys(client.encryptionKey);
+    client.sent = [];
+    client._postSoap = async (path, urn, action, body) => {
+        const text = typeof body === 'function' ? body() : body;
+        client.sent.push({ action, command: decryptPayload(text.match(/<X_EncInfo>([^<]*)</)[1], keys) });
+        await new Promise(r => setImmediate(r));
+        const result = action === 'X_GetEncryptSessionId' ? sessionResult : '';
+        return `<X_EncResult>${encryptPayload(result, keys)}</X_EncResult>`;
+    };
+    return client;
+}
+
+describe('VieraClient', () => {
+    describe('_requestOptions', () => {
+        const client = new VieraClient('127.0.0.1', null);
+        const retries = (action, err) => client._requestOptions(action).retryIf(err);
+        const timeout = Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' });
+        const reset = Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+        const busy = new SoapError('X_SendKey', 503, 0, '');
+
+        it('retries keys and app starts only if the TV answered', () => {
+            for (const action of ['X_SendKey', 'X_LaunchApp', 'Play']) {
+                assert.strictEqual(retries(action, busy), true, action);
+                assert.strictEqual(retries(action, timeout), false, action);
+                assert.strictEqual(retries(action, reset), false, action);
+            }
+        });
+
+        it('retries Get and Set actions after timeouts too', () => {
+            for (const action of ['GetVolume', 'SetMute', 'X_GetAppList', 'X_GetEncryptSessionId']) {
+                assert.strictEqual(retries(action, timeout), true, action);
+                assert.strictEqual(retries(action, busy), true, action);
+            }
+        });
+
+        it('does not retry failures that repeat on every attempt', () => {
+            assert.strictEqual(retries('X_SendKey', new SoapError('X_SendKey', 500, 401, 'Invalid Action')), false);
+            assert.strictEqual(retries('GetVolume', Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), false);
+        });
+
+        it('retries HTTP 403 only while the TV boots', () => {
+            const refused = new SoapError('X_SendKey', 403, 0, '');
+            const booting = new VieraClient('127.0.0.1', null);
+            booting.expectBoot();
+            for (const action of ['X_SendKey', 'GetVolume']) {
+                assert.strictEqual(retries(action, refused), false, action);
+                assert.strictEqual(booting._requestOptions(action).retryIf(refused), true, action);
+            }
+            booting.expectBoot(-1);
+            assert.strictEqual(booting._requestOptions('GetVolume').retryIf(refused), false);
+        });
+
+        it('never repeats pairing requests', () => {
+            for (const action of ['X_DisplayPinCode', 'X_RequestAuth']) {
+                assert.deepStrictEqual(client._requestOptions(action), { name: action, retries: 0 }, action);
+            }
+        });
+    });
+
+    describe('encrypted session', () => {
+        const session = '<X_SessionId>17</X_SessionId><X_SessionSeqNum>41</X_SessionSeqNum>';
+
+        it('requests one session for concurrent commands', async () => {
+            const client = pairedClient(session);
+            await Promise.all([client._ensureSession(), client._ensureSession()]);
+            assert.deepStrictEqual(client.sent.map(r => r.action), ['X_GetEncryptSessionId']);
+            assert.deepStrictEqual({ id: client._session.id, seqNum: client._session.seqNum }, { id: '17', seqNum: 41 });
+        });
+
+        it('continues the sequence number the TV started the session with', async () => {
+            const client = pairedClient(session);
+            await client.sendKey('NRC_MUTE-ONOFF');
+            await client.sendKey('NRC_MUTE-ONOFF');
+            const commands = client.sent.filter(r => r.action === 'X_EncryptedCommand').map(r => r.command);
+            assert.strictEqual(commands.length, 2);
+            assert.match(commands[0], /<X_SessionId>17<\/X_SessionId><X_SequenceNumber>00000042<\/X_SequenceNumber>/);
+            assert.match(commands[0], /<X_KeyEvent>NRC_MUTE-ONOFF<\/X_KeyEvent>/);
+            assert.match(commands[1], /<X_SequenceNumber>00000043<\/X_SequenceNumber>/);
+        });
+
+        it('starts at 0 if the TV sends no sequence number', async () => {
+            const client = pairedClient('<X_SessionId>17</X_SessionId>');
+            await client._ensureSession();
+            assert.strictEqual(client._session.seqNum, 0);
+        });
+    });
+
+    describe('getDeviceInfo', () => {
+        const service = (type, scpd, control, event) => `<service><serviceType>${type}</serviceType>` +
+            `<SCPDURL>${scpd}</SCPDURL><controlURL>${control}</controlURL><eventSubURL>${event}</eventSubURL></service>`;
+        const descriptions = {
+            '/nrc/ddd.xml': '<root><device><friendlyName>Wohnzimmer</friendlyName><manufacturer>Panasonic</manufacturer>' +
+                '<modelName>VIERA</modelName><modelNumber>TX-55GZW954</modelNumber><UDN>uuid:4d454930-0200-1000-8001-a81374bb4d1c</UDN>' +
+                `<serviceList>${service('urn:panasonic-com:service:p00NetworkControl:1', 'sdd_0.xml', '/nrc/control_0', '/nrc/event_0')}</serviceList></device></root>`,
+            '/nrc/sdd_0.xml': '<scpd><actionList><action><name>X_SendKey</name></action><action>\n <name>X_GetAppList</name></action></actionList></scpd>',
+            '/dmr/ddd.xml': '<root><device><friendlyName>Other</friendlyName><serialNumber>1234</serialNumber>' +
+                `<serviceList>${service('urn:schemas-upnp-org:service:RenderingControl:1', '/dmr/RenderingControl/desc.xml', '/dmr/control_0', '/dmr/event_0')}</serviceList></device></root>`,
+            '/dmr/RenderingControl/desc.xml': '<scpd><actionList><action><name>GetVolume</name></action></actionList></scpd>',
+        };
+
+        function describedClient(paths) {
+            const client = new VieraClient('127.0.0.1', null);
+            client._httpGet = async (path) => paths[path] ? { statusCode: 200, body: paths[path] } : { statusCode: 404, body: '' };
+            return client;
+        }
+
+        it('reads model data, services and actions of NRC and DMR descriptions', async () => {
+            const info = await describedClient(descriptions).getDeviceInfo();
+            assert.strictEqual(info.friendlyName, 'Wohnzimmer');
+            assert.strictEqual(info.modelNumber, 'TX-55GZW954');
+            assert.strictEqual(info.udn, 'uuid:4d454930-0200-1000-8001-a81374bb4d1c');
+            assert.strictEqual(info.serialNumber, '1234');
+            assert.deepStrictEqual(info.actions, ['X_SendKey', 'X_GetAppList', 'GetVolume']);
+            assert.deepStrictEqual(info.services[1], {
+                type: 'urn:schemas-upnp-org:service:RenderingControl:1',
+                scpdUrl: '/dmr/RenderingControl/desc.xml',
+                controlUrl: '/dmr/control_0',
+                eventSubUrl: '/dmr/event_0',
+                actions: ['GetVolume'],
+            });
+        });
+
+        it('resolves relative URLs against the description', async () => {
+            const info = await describedClient(descriptions).getDeviceInfo();
+            assert.strictEqual(info.services[0].scpdUrl, '/nrc/sdd_0.xml');
+        });
+
+        it('answers supports() from the advertised actions once read', async () => {
+            const client = describedClient(descriptions);
+            assert.strictEqual(client.supports('X_LaunchApp'), true);
+            await client.getDeviceInfo();
+            assert.strictEqual(client.supports('X_GetAppList'), true);
+            assert.strictEqual(client.supports('X_LaunchApp'), false);
+        });
+
+        it('keeps going without the DMR description', async () => {
+            const { '/dmr/ddd.xml': _, ...nrcOnly } = descriptions;
+            const info = await describedClient(nrcOnly).getDeviceInfo();
+            assert.deepStrictEqual(info.actions, ['X_SendKey', 'X_GetAppList']);
+        });
+    });
+
+    describe('parseSsdpResponse', () => {
+        it('reads location and search target, case-insensitive', () => {
+            const text = 'HTTP/1.1 200 OK\r\nCACHE-CONTROL: max-age=1800\r\nlocation: http://192.168.1.5:55000/nrc/ddd.xml \r\n' +
+                'SERVER: Linux/4.0 UPnP/1.0 Panasonic-UPnP-MW/1.0\r\nST: urn:panasonic-com:device:p00RemoteController:1\r\n\r\n';
+            assert.deepStrictEqual(VieraClient.parseSsdpResponse(text), {
+                location: 'http://192.168.1.5:55000/nrc/ddd.xml',
+                st: 'urn:panasonic-com:device:p00RemoteController:1',
+                remote: true,
+            });
+        });
+
+        it('marks other renderers as not remote-capable', () => {
+            const text = 'HTTP/1.1 200 OK\r\nLOCATION: http://192.168.1.9:1400/xml/device_description.xml\r\nST: urn:schemas-upnp-org:device:MediaRenderer:1\r\n\r\n';
+            assert.strictEqual(VieraClient.parseSsdpResponse(text).remote, false);
+        });
+
+        it('ignores answers without location', () => {
+            assert.strictEqual(VieraClient.parseSsdpResponse('HTTP/1.1 200 OK\r\nST: upnp:rootdevice\r\n\r\n'), null);
+        });
+    });
+
+    describe('parseLastChange', () => {
+        const notify = (event) => '<?xml version="1.0"?><e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0"><e:property>' +
+            `<LastChange>${event.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')}</LastChange>` +
+            '</e:property></e:propertyset>';
+
+        it('reads volume and mute of the Master channel', () => {
+            const body = notify('<Event xmlns="urn:schemas-upnp-org:metadata-1-0/RCS/"><InstanceID val="0">' +
+                '<Volume channel="LF" val="3"/><Volume channel="Master" val="21"/><Mute channel="Master" val="1"/></InstanceID></Event>');
+            assert.deepStrictEqual(VieraClient.parseLastChange(body), { volume: 21, mute: true });
+        });
+
+        it('accepts values without channel and mute as true/false', () => {
+            const body = notify('<Event><InstanceID val="0"><Volume val="7"/><Mute val="false"/></InstanceID></Event>');
+            assert.deepStrictEqual(VieraClient.parseLastChange(body), { volume: 7, mute: false });
+        });
+
+        it('returns null for values the event does not contain', () => {
+            assert.deepStrictEqual(VieraClient.parseLastChange(notify('<Event><InstanceID val="0"><PresetNameList val="FactoryDefaults"/></InstanceID></Event>')), { volume: null, mute: null });
+            assert.deepStrictEqual(VieraClient.parseLastChange(''), { volume: null, mute: null });
+        });
+    });
+
+    describe('_parseSubscription', () => {
+        it('reads SID and granted timeout, falls back to the requested timeout', () => {
+            assert.deepStrictEqual(VieraClient._parseSubscription({ headers: { sid: 'uuid:1', timeout: 'Second-1800' } }, 300), { sid: 'uuid:1', timeout: 1800 });
+            assert.deepStrictEqual(VieraClient._parseSubscription({ headers: { sid: 'uuid:1' } }, 300), { sid: 'uuid:1', timeout: 300 });
+            assert.throws(() => VieraClient._parseSubscription({ headers: {} }, 300), /No SID/);
+        });
+    });
+
+    describe('buildMagicPacket', () => {
+        it('repeats the MAC 16 times after 6 bytes 0xFF', () => {
+            const packet = VieraClient.buildMagicPacket('a8:13:74:bb:4d:1c');
+            assert.strictEqual(packet.length, 102);
+            assert.ok(packet.subarray(0, 6).equals(Buffer.alloc(6, 0xFF)));
+            for (let i = 0; i < 16; i++) {
+                assert.strictEqual(packet.subarray(6 + i * 6, 12 + i * 6).toString('hex'), 'a81374bb4d1c');
+            }
+        });
+
+        it('accepts dashes and no separators', () => {
+            assert.ok(VieraClient.buildMagicPacket('A8-13-74-BB-4D-1C').equals(VieraClient.buildMagicPacket('a81374bb4d1c')));
+        });
+
+        it('rejects invalid MAC addresses', () => {
+            assert.throws(() => VieraClient.buildMagicPacket('a8:13:74:bb:4d'), /Invalid MAC address/);
+            assert.throws(() => VieraClient.buildMagicPacket(''), /Invalid MAC address/);
+        });
+
+        it('lets sendWakeOnLan reject invalid MAC addresses', async () => {
+            await assert.rejects(VieraClient.sendWakeOnLan('nope'), /Invalid MAC address/);
+        });
+    });
+
+    describe('buildDidl', () => {
+        it('describes audio files as music tracks with the file name as title', () => {
+            const didl = VieraClient.buildDidl('http://192.168.1.2:8095/files/ab12/Gong%20laut.mp3?x=1');
+            assert.match(didl, /<dc:title>Gong laut\.mp3<\/dc:title>/);
+            assert.match(didl, /<upnp:class>object\.item\.audioItem\.musicTrack<\/upnp:class>/);
+            assert.match(didl, /<res protocolInfo="http-get:\*:audio\/mpeg:\*">http:\/\/192\.168\.1\.2:8095\/files\/ab12\/Gong%20laut\.mp3\?x=1<\/res>/);
+        });
+
+        it('uses title and MIME type from the options and escapes them', () => {
+            const didl = VieraClient.buildDidl('http://host/stream?a=1&b=2', { title: 'Tom & Jerry', mimeType: 'image/png' });
+            assert.match(didl, /<dc:title>Tom &amp; Jerry<\/dc:title>/);
+            assert.match(didl, /object\.item\.imageItem\.photo/);
+            assert.match(didl, />http:\/\/host\/stream\?a=1&amp;b=2<\/res>/);
+        });
+
+        it('treats unknown extensions as video', () => {
+            assert.strictEqual(VieraClient.guessMimeType('http://host/live'), 'video/mp4');
+            assert.strictEqual(VieraClient.guessMimeType('/tmp/a.FLAC'), 'audio/flac');
+            assert.match(VieraClient.buildDidl('http://host/live'), /object\.item\.videoItem/);
+        });
+    });
+
+    describe('parseDuration / formatDuration', () => {
+        it('converts between H:MM:SS and seconds', () => {
+            assert.strictEqual(VieraClient.parseDuration('1:02:03.500'), 3723);
+            assert.strictEqual(VieraClient.parseDuration('NOT_IMPLEMENTED'), null);
+            assert.strictEqual(VieraClient.formatDuration(3723.4), '1:02:03');
+            assert.strictEqual(VieraClient.formatDuration(-5), '0:00:00');
+        });
+    });
+
+    describe('setAVTransportURI', () => {
+        it('sends URL and DIDL metadata escaped', async () => {
+            const client = new VieraClient('127.0.0.1', null);
+            let sent;
+            client._soapRequest = async (path, urn, action, body) => sent = { path, action, body };
+            await client.setAVTransportURI('http://host/a.mp3?x=1&y=2', { title: 'ioBroker' });
+            assert.strictEqual(sent.path, '/dmr/control_2');
+            assert.strictEqual(sent.action, 'SetAVTransportURI');
+            assert.match(sent.body, /<CurrentURI>http:\/\/host\/a\.mp3\?x=1&amp;y=2<\/CurrentURI>/);
+            assert.match(sent.body, /<CurrentURIMetaData>&lt;DIDL-Lite .*&lt;dc:title&gt;ioBroker&lt;\/dc:title&gt;/);
+        });
+    });
+
+    describe('parseAppList', () => {
+        it('reads product id and name of every vc_app entry', () => {
+            const response = '<s:Envelope><s:Body><u:X_GetAppListResponse><X_AppList>' +
+                'vc_app&#39;product_id=0010000200000001&#39;Netflix&#39;http://192.168.1.5:55000/nrc/app_icon/0010000200000001&#39;' +
+                'vc_app&#39;product_id=0070000600000001&#39;Prime Video &amp; Co&#39;http://192.168.1.5:55000/nrc/app_icon/0070000600000001&#39;' +
+                '</X_AppList></u:X_GetAppListResponse></s:Body></s:Envelope>';
+            assert.deepStrictEqual(VieraClient.parseAppList(response), [
+                { id: '0010000200000001', name: 'Netflix' },
+                { id: '0070000600000001', name: 'Prime Video & Co' },
+            ]);
+        });
+
+        it('skips entries without product id or name', () => {
+            assert.deepStrictEqual(VieraClient.parseAppList("<X_AppList>vc_app'x'Broken'vc_app'product_id=1''</X_AppList>"), []);
+            assert.deepStrictEqual(VieraClient.parseAppList('<X_AppList></X_AppList>'), []);
+        });
+    });
+
+    describe('launchApp', () => {
+        it('escapes the product id', async () => {
+            const client = new VieraClient('127.0.0.1', null);
+            let sent;
+            client._soapRequest = async (path, urn, action, body) => sent = { action, body };
+            await client.launchApp('00100002&<x>');
+            assert.deepStrictEqual(sent, {
+                action: 'X_LaunchApp',
+                body: '<X_AppType>vc_app</X_AppType><X_LaunchKeyword>product_id=00100002&amp;&lt;x&gt;</X_LaunchKeyword>',
+            });
+        });
+    });
+
+    describe('_escapeXml', () => {
+        it('escapes markup characters', () => {
+            assert.strictEqual(VieraClient._escapeXml('Tom & <Jerry> "TV"'), 'Tom &amp; &lt;Jerry&gt; &quot;TV&quot;');
+        });
+    });
+
+    describe('ensureAtvremote', () => {
+        const resolve = VieraClient._resolveAtvremote;
+        after(() => {
+            VieraClient._resolveAtvremote = resolve;
+        });
+
+        it('looks atvremote up once and again only after a failure', async () => {
+            let calls = 0;
+            VieraClient._resolveAtvremote = async () => {
+                calls++;
+                if (calls === 1) throw new Error('pyatv installation failed');
+                return '/opt/iobroker/.pyatv-venv/bin/atvremote';
+            };
+            await assert.rejects(VieraClient.ensureAtvremote(null), /installation failed/);
+            const paths = await Promise.all([VieraClient.ensureAtvremote(null), VieraClient.ensureAtvremote(null)]);
+            assert.deepStrictEqual(paths, ['/opt/iobroker/.pyatv-venv/bin/atvremote', '/opt/iobroker/.pyatv-venv/bin/atvremote']);
+            await VieraClient.ensureAtvremote(null);
+            assert.strictEqual(calls, 2);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { derivePairingKeys, deriveSessionKeys, encryptPayload, decryptPayload } = require('../lib/viera-crypto');
+
+// 16 bytes 0x00..0x0f as the TV would send them in base64
+const IV = Buffer.from([...Array(16).keys()]);
+
+describe('viera-crypto', () => {
+    describe('deriveSessionKeys', () => {
+        it('swaps the 2-byte halves of every 4-byte word for the AES key', () => {
+            const { key, iv } = deriveSessionKeys(IV.toString('base64'));
+            assert.deepStrictEqual([...key], [2, 3, 0, 1, 6, 7, 4, 5, 10, 11, 8, 9, 14, 15, 12, 13]);
+            assert.ok(iv.equals(IV));
+        });
+
+        it('uses the IV twice as HMAC key', () => {
+            const { hmacKey } = deriveSessionKeys(IV.toString('base64'));
+            assert.ok(hmacKey.equals(Buffer.concat([IV, IV])));
+        });
+    });
+
+    describe('derivePairingKeys', () => {
+        it('reverses and inverts every 4-byte word for the AES key', () => {
+            const { key } = derivePairingKeys(IV.toString('base64'));
+            assert.deepStrictEqual([...key.subarray(0, 4)], [~3 & 0xFF, ~2 & 0xFF, ~1 & 0xFF, ~0 & 0xFF]);
+            assert.deepStrictEqual([...key.subarray(12)], [~15 & 0xFF, ~14 & 0xFF, ~13 & 0xFF, ~12 & 0xFF]);
+        });
+
+        it('masks the rotated IV for the HMAC key', () => {
+            const { hmacKey } = derivePairingKeys(IV.toString('base64'));
+            assert.strictEqual(hmacKey.length, 32);
+            assert.strictEqual(hmacKey[0], 0x15 ^ 2);
+            assert.strictEqual(hmacKey[1], 0xC9 ^ 3);
+            assert.strictEqual(hmacKey[2], 0x5A ^ 0);
+            assert.strictEqual(hmacKey[3], 0xC2 ^ 1);
+            // Second half wraps around the 16 byte IV
+            assert.strictEqual(hmacKey[16], 0xA5 ^ 2);
+        });
+    });
+
+    describe('encryptPayload / decryptPayload', () => {
+        const sessionKeys = deriveSessionKeys(crypto.randomBytes(16).toString('base64'));
+        const pairingKeys = derivePairingKeys(crypto.randomBytes(16).toString('base64'));
+
+        for (const text of ['', 'x', '<X_PinCode>1234</X_PinCode>', 'a'.repeat(16), 'b'.repeat(100)]) {
+            it(`round-trips ${text.length} characters`, () => {
+                assert.strictEqual(decryptPayload(encryptPayload(text, sessionKeys), sessionKeys), text);
+                assert.strictEqual(decryptPayload(encryptPayload(text, pairingKeys), pairingKeys), text);
+            });
+        }
+
+        it('pads to whole AES blocks and appends the HMAC signature', () => {
+            const data = Buffer.from(encryptPayload('x'.repeat(20), sessionKeys), 'base64');
+            // 16 byte header + 20 bytes -> 48 bytes, plus 32 bytes HMAC-SHA256
+            assert.strictEqual(data.length, 48 + 32);
+            const signature = crypto.createHmac('sha256', sessionKeys.hmacKey).update(data.subarray(0, 48)).digest();
+            assert.ok(signature.equals(data.subarray(48)));
+        });
+
+        it('uses a random header, so equal payloads encrypt differently', () => {
+            assert.notStrictEqual(encryptPayload('same', sessionKeys), encryptPayload('same', sessionKeys));
+        });
+
+        it('decrypts payloads without signature', () => {
+            const data = Buffer.from(encryptPayload('<X_SessionId>42</X_SessionId>', sessionKeys), 'base64');
+            const unsigned = data.subarray(0, data.length - 32).toString('base64');
+            assert.strictEqual(decryptPayload(unsigned, sessionKeys), '<X_SessionId>42</X_SessionId>');
+        });
+    });
+});